@@ -0,0 +1,225 @@
+// ScratchXiv - Paper Metadata & Citations
+// The bibliographic metadata model stored on each tab, its extraction from a
+// PDF's info dictionary and first page, and BibTeX/RIS export.
+//
+// metadata: { type, title, authors: [name], venue, year, doi, arxivId, url, abstract, source }
+
+class ScratchXivCitations {
+    constructor() {
+        this.types = {
+            article: { label: 'Journal Article', bibtex: 'article', venueField: 'journal', ris: 'JOUR', risVenue: 'JO' },
+            inproceedings: { label: 'Conference Paper', bibtex: 'inproceedings', venueField: 'booktitle', ris: 'CONF', risVenue: 'T2' },
+            preprint: { label: 'Preprint', bibtex: 'misc', venueField: 'howpublished', ris: 'UNPB', risVenue: 'T2' },
+            book: { label: 'Book', bibtex: 'book', venueField: 'publisher', ris: 'BOOK', risVenue: 'PB' },
+            thesis: { label: 'Thesis', bibtex: 'phdthesis', venueField: 'school', ris: 'THES', risVenue: 'PB' },
+            misc: { label: 'Other', bibtex: 'misc', venueField: 'howpublished', ris: 'GEN', risVenue: 'T2' }
+        };
+        this.bibtexEscapes = {
+            '\\': '\\textbackslash{}',
+            '~': '\\textasciitilde{}',
+            '^': '\\textasciicircum{}'
+        };
+    }
+    
+    // Fills in every field so the rest of the app can rely on the shape
+    normalize(metadata, fallbackTitle = '') {
+        const m = metadata || {};
+        const year = parseInt(m.year);
+        
+        return {
+            type: this.types[m.type] ? m.type : (m.arxivId && !m.venue ? 'preprint' : 'article'),
+            title: (m.title || fallbackTitle || '').trim(),
+            authors: (Array.isArray(m.authors) ? m.authors : this.splitAuthors(m.authors))
+                .map(a => a.trim())
+                .filter(Boolean),
+            venue: (m.venue || '').trim(),
+            year: Number.isFinite(year) ? year : null,
+            doi: (m.doi || '').trim(),
+            arxivId: (m.arxivId || '').trim(),
+            url: (m.url || '').trim(),
+            abstract: (m.abstract || '').trim(),
+            source: m.source || 'manual'
+        };
+    }
+    
+    splitAuthors(text) {
+        if (!text) return [];
+        // "A, B and C" or "A; B"; a single "Last, First" is kept whole
+        const parts = text.split(/\s*;\s*|\s+and\s+/);
+        if (parts.length === 1 && (text.match(/,/g) || []).length > 1) {
+            return text.split(/\s*,\s*/);
+        }
+        return parts;
+    }
+    
+    // Returns the metadata found in the PDF; missing fields are left empty
+    async extractFromPdf(pdf) {
+        const extracted = { source: 'pdf' };
+        
+        try {
+            const { info } = await pdf.getMetadata();
+            if (info) {
+                if (this.isPlausibleTitle(info.Title)) extracted.title = info.Title.trim();
+                if (info.Author && info.Author.trim()) extracted.authors = this.splitAuthors(info.Author.trim());
+                
+                const created = /^D:(\d{4})/.exec(info.CreationDate || '');
+                if (created) extracted.year = parseInt(created[1]);
+            }
+        } catch (error) {
+            console.error('Error reading PDF info dictionary:', error);
+        }
+        
+        try {
+            const page = await pdf.getPage(1);
+            const textContent = await page.getTextContent();
+            const text = textContent.items.map(item => item.str).join(' ');
+            
+            const arxiv = /arXiv:\s*(\d{4}\.\d{4,5})(v\d+)?/i.exec(text);
+            if (arxiv) {
+                extracted.arxivId = arxiv[1] + (arxiv[2] || '');
+                extracted.url = `https://arxiv.org/abs/${arxiv[1]}`;
+                // New-style arXiv IDs start with the submission's yymm
+                extracted.year = 2000 + parseInt(arxiv[1].slice(0, 2));
+            }
+            
+            const doi = /\b(10\.\d{4,9}\/[^\s"<>]+)/.exec(text);
+            if (doi) extracted.doi = doi[1].replace(/[.,;)\]]+$/, '');
+            
+            if (!extracted.title) {
+                const title = this.findTitle(textContent, page.getViewport({ scale: 1 }).height);
+                if (title) extracted.title = title;
+            }
+        } catch (error) {
+            console.error('Error reading first page text:', error);
+        }
+        
+        return extracted;
+    }
+    
+    // Producers often leave file names or "Microsoft Word - ..." in the Title entry
+    isPlausibleTitle(title) {
+        if (!title || title.trim().length < 6) return false;
+        return !/\.(pdf|dvi|tex|docx?|ps)$/i.test(title.trim()) && !/^(microsoft word|untitled)/i.test(title.trim());
+    }
+    
+    // The title is usually the largest text in the top half of the first page
+    findTitle(textContent, pageHeight) {
+        const items = textContent.items.filter(item =>
+            item.str && item.str.trim() && item.transform[5] > pageHeight * 0.5
+        );
+        if (items.length === 0) return null;
+        
+        const size = item => Math.abs(item.transform[3]) || item.height;
+        const largest = Math.max(...items.map(size));
+        const title = items
+            .filter(item => size(item) >= largest - 0.5)
+            .map(item => item.str)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        return title.length >= 6 && title.length <= 300 ? title : null;
+    }
+    
+    // Fields already set (e.g. from arXiv or by hand) win over extracted ones
+    merge(metadata, extracted) {
+        const merged = { ...(metadata || {}) };
+        Object.keys(extracted).forEach(key => {
+            const current = merged[key];
+            const empty = current === undefined || current === null || current === '' ||
+                (Array.isArray(current) && current.length === 0);
+            if (empty) merged[key] = extracted[key];
+        });
+        return merged;
+    }
+    
+    lastName(author) {
+        if (author.includes(',')) return author.split(',')[0].trim();
+        const parts = author.trim().split(/\s+/);
+        return parts[parts.length - 1];
+    }
+    
+    // e.g. vaswani2017attention
+    citationKey(metadata) {
+        const ascii = text => (text || '').normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+        const stopWords = new Set(['a', 'an', 'the', 'on', 'of', 'for', 'in', 'to', 'and', 'with', 'towards']);
+        
+        const author = metadata.authors.length > 0 ? ascii(this.lastName(metadata.authors[0])) : 'anon';
+        const word = (metadata.title || '').split(/\s+/).map(ascii).find(w => w && !stopWords.has(w)) || '';
+        return `${author}${metadata.year || ''}${word}`;
+    }
+    
+    // Escapes BibTeX specials but keeps $...$ math as written
+    escapeBibtex(text) {
+        return String(text).split(/(\$[^$]*\$)/).map((part, i) => {
+            if (i % 2 === 1) return part;
+            return part.replace(/[\\{}&%#_~^]/g, char => this.bibtexEscapes[char] || '\\' + char);
+        }).join('');
+    }
+    
+    toBibtexEntry(metadata, key) {
+        const type = this.types[metadata.type];
+        const fields = [
+            ['title', metadata.title],
+            ['author', metadata.authors.join(' and ')],
+            [type.venueField, metadata.venue],
+            ['year', metadata.year],
+            ['doi', metadata.doi],
+            ['eprint', metadata.arxivId],
+            ['archivePrefix', metadata.arxivId ? 'arXiv' : ''],
+            ['url', metadata.url],
+            ['abstract', metadata.abstract]
+        ].filter(([, value]) => value);
+        
+        const body = fields.map(([name, value]) => {
+            // Identifiers and URLs are taken literally
+            const raw = ['doi', 'eprint', 'url'].includes(name);
+            return `  ${name} = {${raw ? value : this.escapeBibtex(value)}}`;
+        }).join(',\n');
+        
+        return `@${type.bibtex}{${key},\n${body}\n}`;
+    }
+    
+    // Keys are made unique across the export with a, b, c... suffixes
+    toBibtex(metadataList) {
+        const used = new Map();
+        return metadataList.map(metadata => {
+            const base = this.citationKey(metadata);
+            const count = used.get(base) || 0;
+            used.set(base, count + 1);
+            const key = count === 0 ? base : base + String.fromCharCode(96 + count);
+            return this.toBibtexEntry(metadata, key);
+        }).join('\n\n') + '\n';
+    }
+    
+    toRisEntry(metadata) {
+        const type = this.types[metadata.type];
+        const lines = [`TY  - ${type.ris}`];
+        const add = (tag, value) => {
+            if (value) lines.push(`${tag}  - ${String(value).replace(/\s+/g, ' ')}`);
+        };
+        
+        add('TI', metadata.title);
+        metadata.authors.forEach(author => {
+            // RIS wants "Last, First"
+            const last = this.lastName(author);
+            const first = author.includes(',') ? author.split(',').slice(1).join(',').trim() : author.slice(0, author.lastIndexOf(last)).trim();
+            add('AU', first ? `${last}, ${first}` : last);
+        });
+        add('PY', metadata.year);
+        add(type.risVenue, metadata.venue);
+        add('DO', metadata.doi);
+        add('UR', metadata.url);
+        add('AB', metadata.abstract);
+        if (metadata.arxivId) add('N1', `arXiv:${metadata.arxivId}`);
+        lines.push('ER  - ');
+        
+        return lines.join('\r\n');
+    }
+    
+    toRis(metadataList) {
+        return metadataList.map(metadata => this.toRisEntry(metadata)).join('\r\n\r\n') + '\r\n';
+    }
+}
+
+window.scratchXivCitations = new ScratchXivCitations();
@@ -0,0 +1,196 @@
+// ScratchXiv - Commands & Shortcuts
+// Every user-facing action is registered as a command, so the command palette
+// and the keyboard shortcuts work from one list:
+//
+// { id, title, category, run(), enabled(), global, keys: [shortcut] }
+//
+// Shortcuts are strings like "Mod+Shift+F", with modifiers in the order
+// Mod (Ctrl, or Cmd on macOS), Alt, Shift. Commands marked global also fire while
+// a text field has focus. Rebindings are stored as { commandId: [shortcut] } under
+// localStorage 'scratchxiv_shortcuts'; commands left at their defaults are not stored.
+
+class ScratchXivCommands {
+    constructor() {
+        this.commands = new Map();
+        this.overrides = this.loadOverrides();
+        this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+        this.modifierKeys = new Set(['Control', 'Meta', 'Alt', 'AltGraph', 'Shift', 'CapsLock']);
+        this.keyLabels = {
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            Escape: 'Esc',
+            PageUp: 'PgUp',
+            PageDown: 'PgDn'
+        };
+    }
+    
+    loadOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem('scratchxiv_shortcuts')) || {};
+        } catch (error) {
+            console.error('Invalid shortcut settings:', error);
+            return {};
+        }
+    }
+    
+    saveOverrides() {
+        localStorage.setItem('scratchxiv_shortcuts', JSON.stringify(this.overrides));
+    }
+    
+    register(command) {
+        this.commands.set(command.id, {
+            category: 'General',
+            keys: [],
+            global: false,
+            enabled: () => true,
+            ...command
+        });
+    }
+    
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+    
+    list() {
+        return Array.from(this.commands.values());
+    }
+    
+    run(id) {
+        const command = this.get(id);
+        if (!command || !command.enabled()) return false;
+        
+        console.log('Running command:', id);
+        command.run();
+        return true;
+    }
+    
+    // Bindings
+    getBindings(id) {
+        const command = this.get(id);
+        if (!command) return [];
+        return this.overrides[id] || command.keys;
+    }
+    
+    setBindings(id, shortcuts) {
+        const command = this.get(id);
+        if (!command) return;
+        
+        const unique = [...new Set(shortcuts)];
+        if (unique.join(' ') === command.keys.join(' ')) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = unique;
+        }
+        this.saveOverrides();
+    }
+    
+    // Binds the shortcut to the command, taking it away from any command that had it
+    assign(id, shortcut) {
+        this.getCommandsFor(shortcut).filter(other => other.id !== id).forEach(other => {
+            this.setBindings(other.id, this.getBindings(other.id).filter(s => s !== shortcut));
+        });
+        this.setBindings(id, [...this.getBindings(id), shortcut]);
+    }
+    
+    unassign(id, shortcut) {
+        this.setBindings(id, this.getBindings(id).filter(s => s !== shortcut));
+    }
+    
+    reset(id = null) {
+        if (id) {
+            delete this.overrides[id];
+        } else {
+            this.overrides = {};
+        }
+        this.saveOverrides();
+    }
+    
+    isCustomized(id) {
+        return Object.prototype.hasOwnProperty.call(this.overrides, id);
+    }
+    
+    getCommandsFor(shortcut) {
+        return this.list().filter(command => this.getBindings(command.id).includes(shortcut));
+    }
+    
+    // Shortcut -> ids for every shortcut bound to more than one command
+    findConflicts() {
+        const owners = new Map();
+        this.list().forEach(command => {
+            this.getBindings(command.id).forEach(shortcut => {
+                if (!owners.has(shortcut)) owners.set(shortcut, []);
+                owners.get(shortcut).push(command.id);
+            });
+        });
+        return new Map(Array.from(owners).filter(([, ids]) => ids.length > 1));
+    }
+    
+    // Shortcut strings
+    // Returns null for a bare modifier key. Shift is implied by characters like "+" or
+    // "?", so it is only part of the shortcut for letters and named keys.
+    fromEvent(e) {
+        if (this.modifierKeys.has(e.key)) return null;
+        
+        let key = e.key === ' ' ? 'Space' : e.key;
+        // Alt changes the character typed on some layouts; use the physical key instead
+        if (e.altKey && /^(Key[A-Z]|Digit\d)$/.test(e.code)) key = e.code.slice(-1);
+        if (key.length === 1) key = key.toUpperCase();
+        
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Mod');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && (key.length > 1 || /[A-Z0-9]/.test(key))) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+    
+    format(shortcut) {
+        return shortcut.split('+').map((part, i, parts) => {
+            // "+" as the key itself splits into an empty last part
+            if (part === '' && i === parts.length - 1) return '+';
+            if (part === 'Mod') return this.isMac ? '⌘' : 'Ctrl';
+            if (part === 'Alt') return this.isMac ? '⌥' : 'Alt';
+            if (part === 'Shift') return this.isMac ? '⇧' : 'Shift';
+            return this.keyLabels[part] || part;
+        }).filter(part => part !== '').join(this.isMac ? '' : '+');
+    }
+    
+    // Runs the command bound to the key, if any; returns whether one ran
+    handleKeydown(e) {
+        const shortcut = this.fromEvent(e);
+        if (!shortcut) return false;
+        
+        const inTextField = e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+        const command = this.getCommandsFor(shortcut).find(c => (c.global || !inTextField) && c.enabled());
+        if (!command) return false;
+        
+        e.preventDefault();
+        this.run(command.id);
+        return true;
+    }
+    
+    // Palette matching: every query character in order, with a bonus for word
+    // starts and consecutive characters. Returns null when the text doesn't match.
+    score(query, text) {
+        const q = query.toLowerCase().replace(/\s+/g, '');
+        const t = text.toLowerCase();
+        if (!q) return 0;
+        
+        let score = 0;
+        let last = -1;
+        for (const char of q) {
+            const index = t.indexOf(char, last + 1);
+            if (index === -1) return null;
+            
+            score += 1;
+            if (index === last + 1) score += 2;
+            if (index === 0 || /[\s:\-./]/.test(t[index - 1])) score += 3;
+            last = index;
+        }
+        return score - t.length * 0.01;
+    }
+}
+
+window.scratchXivCommands = new ScratchXivCommands();
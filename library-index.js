@@ -0,0 +1,127 @@
+// ScratchXiv - Library Search Index
+// Keeps the extracted full text of every tab's PDF in the 'pdfText' store of
+// ScratchXivStorage and ranks tabs against a query across their name,
+// highlights, notes and PDF text.
+
+class ScratchXivLibraryIndex {
+    constructor() {
+        // Relative weight of a match in each field
+        this.fieldWeights = {
+            name: 10,
+            highlight: 4,
+            notes: 3,
+            pdf: 1
+        };
+    }
+    
+    getEntry(tabId) {
+        return window.scratchXivStorage.loadPdfText(tabId);
+    }
+    
+    getAllEntries() {
+        return window.scratchXivStorage.loadAllPdfText();
+    }
+    
+    saveEntry(entry) {
+        return window.scratchXivStorage.savePdfText({ ...entry, indexedAt: Date.now() });
+    }
+    
+    deleteEntry(tabId) {
+        return window.scratchXivStorage.deletePdfText(tabId);
+    }
+    
+    // Identifies the stored PDF an entry was extracted from, so a replaced PDF is
+    // re-indexed: its content hash, or name and size for records without one
+    getSignature(pdfData) {
+        return pdfData.hash || `${pdfData.fileName}:${pdfData.blob.size}`;
+    }
+    
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term.length > 1);
+    }
+    
+    countOccurrences(text, term) {
+        let count = 0;
+        let index = text.indexOf(term);
+        while (index !== -1) {
+            count++;
+            index = text.indexOf(term, index + term.length);
+        }
+        return count;
+    }
+    
+    makeSnippet(text, terms, radius = 60) {
+        const lower = text.toLowerCase();
+        const positions = terms.map(term => lower.indexOf(term)).filter(i => i !== -1);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+        
+        const start = Math.max(0, first - radius);
+        const end = Math.min(text.length, first + radius * 2);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        
+        return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+    }
+    
+    // Returns [{ tab, score, matches: [{ field, page, score, snippet }] }], best first.
+    // Every query term has to occur somewhere in a tab for it to be a result.
+    search(query, tabs, entries) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+        
+        const phrase = terms.length > 1 ? terms.join(' ') : null;
+        const entriesByTab = new Map(entries.map(entry => [entry.tabId, entry]));
+        const results = [];
+        
+        tabs.forEach(tab => {
+            const matches = [];
+            const matchedTerms = new Set();
+            
+            const consider = (field, text, page = null) => {
+                if (!text) return;
+                
+                const lower = text.toLowerCase();
+                let score = 0;
+                
+                terms.forEach(term => {
+                    const count = this.countOccurrences(lower, term);
+                    if (count > 0) {
+                        matchedTerms.add(term);
+                        score += this.fieldWeights[field] * (1 + Math.log(count));
+                    }
+                });
+                
+                if (score === 0) return;
+                if (phrase && lower.replace(/\s+/g, ' ').includes(phrase)) {
+                    score *= 2;
+                }
+                
+                matches.push({ field, page, score, snippet: this.makeSnippet(text, terms) });
+            };
+            
+            consider('name', tab.name);
+            (tab.highlights || []).forEach(h => consider('highlight', h.text, h.page));
+            consider('notes', tab.notes);
+            
+            const entry = entriesByTab.get(tab.id);
+            if (entry) {
+                entry.pages.forEach((text, i) => consider('pdf', text, i + 1));
+            }
+            
+            if (matchedTerms.size < terms.length) return;
+            
+            matches.sort((a, b) => b.score - a.score);
+            results.push({
+                tab,
+                score: matches.reduce((sum, m) => sum + m.score, 0),
+                matches: matches.slice(0, 5)
+            });
+        });
+        
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+window.scratchXivLibraryIndex = new ScratchXivLibraryIndex();
@@ -0,0 +1,195 @@
+// ScratchXiv - Markdown Notes
+// Renders notes as sanitized HTML (via marked and DOMPurify) with $inline$ and
+// $$display$$ math (via KaTeX), [[p.12]] / [[h:<highlight id>]] links and
+// ![caption](snip:<image id>) images snipped from the PDF.
+
+class ScratchXivMarkdown {
+    constructor() {
+        this.parser = null;
+        this.highlights = []; // highlights of the tab being rendered, for [[h:...]] links
+    }
+    
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    isAvailable() {
+        return typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined';
+    }
+    
+    getParser() {
+        if (this.parser) return this.parser;
+        
+        const self = this;
+        this.parser = new marked.Marked({ gfm: true, breaks: true });
+        this.parser.use({
+            extensions: [
+                {
+                    name: 'mathBlock',
+                    level: 'block',
+                    start(src) {
+                        const index = src.indexOf('$$');
+                        return index === -1 ? undefined : index;
+                    },
+                    tokenizer(src) {
+                        const match = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/.exec(src);
+                        if (match) {
+                            return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+                        }
+                    },
+                    renderer(token) {
+                        return `<div class="math-block">${self.renderMath(token.text, true)}</div>\n`;
+                    }
+                },
+                {
+                    name: 'mathInline',
+                    level: 'inline',
+                    start(src) {
+                        const index = src.indexOf('$');
+                        return index === -1 ? undefined : index;
+                    },
+                    tokenizer(src) {
+                        // "$5 and $10" is not math: no space inside the delimiters, no digit after
+                        const match = /^\$\$([^$]+?)\$\$/.exec(src) ||
+                            /^\$(?![\s$])((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+                        if (match) {
+                            return {
+                                type: 'mathInline',
+                                raw: match[0],
+                                text: match[1].trim(),
+                                displayMode: match[0].startsWith('$$')
+                            };
+                        }
+                    },
+                    renderer(token) {
+                        return self.renderMath(token.text, token.displayMode);
+                    }
+                },
+                {
+                    name: 'noteLink',
+                    level: 'inline',
+                    start(src) {
+                        const index = src.indexOf('[[');
+                        return index === -1 ? undefined : index;
+                    },
+                    tokenizer(src) {
+                        const match = /^\[\[\s*(?:p\.?\s*(\d+)|h:([^\]|]+?))\s*(?:\|([^\]]*))?\]\]/i.exec(src);
+                        if (match) {
+                            return {
+                                type: 'noteLink',
+                                raw: match[0],
+                                page: match[1] ? parseInt(match[1]) : null,
+                                highlightId: match[2] || null,
+                                label: match[3] ? match[3].trim() : ''
+                            };
+                        }
+                    },
+                    renderer(token) {
+                        return self.renderNoteLink(token);
+                    }
+                },
+                {
+                    // Image data lives in IndexedDB, so the app fills in src after rendering
+                    name: 'noteSnip',
+                    level: 'inline',
+                    start(src) {
+                        const index = src.indexOf('![');
+                        return index === -1 ? undefined : index;
+                    },
+                    tokenizer(src) {
+                        const match = /^!\[([^\]]*)\]\(snip:([\w-]+)\)/.exec(src);
+                        if (match) {
+                            return { type: 'noteSnip', raw: match[0], alt: match[1], id: match[2] };
+                        }
+                    },
+                    renderer(token) {
+                        return `<img class="note-snip" data-snip-id="${self.escapeHtml(token.id)}" alt="${self.escapeHtml(token.alt)}">`;
+                    }
+                }
+            ]
+        });
+        
+        return this.parser;
+    }
+    
+    renderMath(tex, displayMode) {
+        if (typeof katex === 'undefined') {
+            const delimiter = displayMode ? '$$' : '$';
+            return `<code class="math-source">${this.escapeHtml(delimiter + tex + delimiter)}</code>`;
+        }
+        
+        // HTML output only, so sanitizing doesn't have to allow MathML
+        return katex.renderToString(tex, {
+            displayMode,
+            throwOnError: false,
+            output: 'html',
+            trust: false
+        });
+    }
+    
+    renderNoteLink(token) {
+        if (token.page) {
+            const label = token.label || `p. ${token.page}`;
+            return `<a href="#" class="note-link" data-page="${token.page}" title="Go to page ${token.page}">${this.escapeHtml(label)}</a>`;
+        }
+        
+        const highlight = this.highlights.find(h => h.id === token.highlightId);
+        if (!highlight) {
+            return `<span class="note-link broken" title="Highlight not found">${this.escapeHtml(token.label || token.raw)}</span>`;
+        }
+        
+        const label = token.label || `p. ${highlight.page}: ${this.quote(highlight, 40)}`;
+        return `<a href="#" class="note-link" data-highlight-id="${this.escapeHtml(highlight.id)}" title="${this.escapeHtml(highlight.text || highlight.comment || '')}">${this.escapeHtml(label)}</a>`;
+    }
+    
+    // Drawings have no text, so their comment stands in for it
+    quote(highlight, length) {
+        if (highlight.text) return `“${this.truncate(highlight.text, length)}”`;
+        return highlight.comment ? this.truncate(highlight.comment, length) : 'drawing';
+    }
+    
+    truncate(text, length) {
+        text = (text || '').replace(/\s+/g, ' ').trim();
+        return text.length > length ? text.slice(0, length - 1) + '…' : text;
+    }
+    
+    // Returns safe HTML for the notes text
+    render(text, highlights = []) {
+        if (!this.isAvailable()) {
+            return `<pre class="markdown-fallback">${this.escapeHtml(text)}</pre>`;
+        }
+        
+        this.highlights = highlights;
+        const html = this.getParser().parse(text || '');
+        this.highlights = [];
+        
+        const clean = DOMPurify.sanitize(html, { ADD_ATTR: ['target'] });
+        
+        // External links never replace the app
+        const container = document.createElement('div');
+        container.innerHTML = clean;
+        container.querySelectorAll('a[href]:not(.note-link)').forEach(link => {
+            link.setAttribute('target', '_blank');
+            link.setAttribute('rel', 'noopener noreferrer');
+        });
+        return container.innerHTML;
+    }
+    
+    // Plain-text form of note links, for exports read outside the app
+    resolveLinks(text, highlights = []) {
+        return (text || '').replace(/\[\[\s*(?:p\.?\s*(\d+)|h:([^\]|]+?))\s*(?:\|([^\]]*))?\]\]/gi, (raw, page, highlightId, label) => {
+            if (page) return label ? `${label.trim()} (p. ${page})` : `p. ${page}`;
+            
+            const highlight = highlights.find(h => h.id === highlightId);
+            if (!highlight) return raw;
+            const quote = label ? label.trim() : this.quote(highlight, 80);
+            return `${quote} (p. ${highlight.page})`;
+        });
+    }
+}
+
+window.scratchXivMarkdown = new ScratchXivMarkdown();
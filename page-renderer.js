@@ -0,0 +1,310 @@
+// ScratchXiv - Page Renderer
+// Schedules PDF page rendering for the viewer:
+//
+// - A new render into a canvas cancels the one still running there, so flipping
+//   through pages never leaves overlapping renders behind.
+// - Finished pages are kept as bitmaps and text content is kept per page, both
+//   least recently used first out once over their memory budget.
+// - Neighbouring pages are rendered into the cache while the browser is idle.
+// - Canvases are rendered at devicePixelRatio and sized in CSS pixels, so text
+//   stays sharp on HiDPI screens while viewport coordinates are unchanged.
+//
+// The caches belong to one document; setDocument() drops them when it changes.
+
+class ScratchXivPageRenderer {
+    constructor() {
+        this.pdf = null;
+        this.tasks = new Map(); // canvas -> { renderTask }
+        
+        this.bitmaps = new Map(); // cache key -> { bitmap, bytes }, oldest first
+        this.bitmapBytes = 0;
+        this.bitmapBudget = 128 * 1024 * 1024;
+        
+        // Keyed by the page object, which pdf.js reuses for every getPage() of a page
+        this.texts = new Map(); // page -> { promise, bytes }, oldest first
+        this.textBytes = 0;
+        this.textBudget = 16 * 1024 * 1024;
+        
+        this.prefetchQueue = [];
+        this.prefetchHandle = null;
+        this.prefetchTask = null;
+    }
+    
+    setDocument(pdf) {
+        if (pdf === this.pdf) return;
+        
+        this.cancelPrefetch();
+        this.tasks.forEach(entry => entry.renderTask.cancel());
+        this.tasks.clear();
+        this.clearCache();
+        this.pdf = pdf;
+    }
+    
+    clearCache() {
+        this.bitmaps.forEach(entry => this.closeBitmap(entry.bitmap));
+        this.bitmaps.clear();
+        this.bitmapBytes = 0;
+        this.texts.clear();
+        this.textBytes = 0;
+    }
+    
+    getOutputScale() {
+        return window.devicePixelRatio || 1;
+    }
+    
+    getCacheKey(pageNum, viewport, outputScale) {
+        return `${pageNum}@${viewport.scale}/${viewport.rotation}/${outputScale}`;
+    }
+    
+    sizeCanvas(canvas, viewport, outputScale) {
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = viewport.width + 'px';
+        canvas.style.height = viewport.height + 'px';
+    }
+    
+    // Draws the page into the canvas, from the cache when it was rendered before.
+    // Resolves true once drawn, false when a later render or cancel() superseded it.
+    async render(page, canvas, viewport) {
+        this.cancel(canvas);
+        this.cancelPrefetch();
+        
+        const outputScale = this.getOutputScale();
+        const key = this.getCacheKey(page.pageNumber, viewport, outputScale);
+        this.sizeCanvas(canvas, viewport, outputScale);
+        
+        const cached = this.takeBitmap(key);
+        if (cached) {
+            canvas.getContext('2d').drawImage(cached, 0, 0);
+            return true;
+        }
+        
+        const entry = { renderTask: this.startRender(page, canvas, viewport, outputScale) };
+        this.tasks.set(canvas, entry);
+        
+        try {
+            await entry.renderTask.promise;
+        } catch (error) {
+            if (this.tasks.get(canvas) === entry) this.tasks.delete(canvas);
+            if (error && error.name === 'RenderingCancelledException') return false;
+            throw error;
+        }
+        
+        if (this.tasks.get(canvas) !== entry) return false;
+        this.tasks.delete(canvas);
+        this.storeBitmap(key, canvas);
+        return true;
+    }
+    
+    startRender(page, canvas, viewport, outputScale) {
+        return page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport: viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+    }
+    
+    cancel(canvas) {
+        const entry = this.tasks.get(canvas);
+        if (!entry) return;
+        
+        entry.renderTask.cancel();
+        this.tasks.delete(canvas);
+    }
+    
+    // Bitmap cache
+    takeBitmap(key) {
+        const entry = this.bitmaps.get(key);
+        if (!entry) return null;
+        
+        // Most recently used goes to the end
+        this.bitmaps.delete(key);
+        this.bitmaps.set(key, entry);
+        return entry.bitmap;
+    }
+    
+    async storeBitmap(key, canvas) {
+        const bytes = canvas.width * canvas.height * 4;
+        if (bytes > this.bitmapBudget || this.bitmaps.has(key)) return;
+        
+        const pdf = this.pdf;
+        let bitmap;
+        try {
+            bitmap = await this.copyCanvas(canvas);
+        } catch (error) {
+            console.error('Error caching page bitmap:', error);
+            return;
+        }
+        
+        // Document changed or the same page was cached while copying
+        if (pdf !== this.pdf || this.bitmaps.has(key)) {
+            this.closeBitmap(bitmap);
+            return;
+        }
+        
+        this.bitmaps.set(key, { bitmap, bytes });
+        this.bitmapBytes += bytes;
+        this.evictBitmaps();
+    }
+    
+    async copyCanvas(canvas) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(canvas);
+        }
+        
+        const copy = document.createElement('canvas');
+        copy.width = canvas.width;
+        copy.height = canvas.height;
+        copy.getContext('2d').drawImage(canvas, 0, 0);
+        return copy;
+    }
+    
+    closeBitmap(bitmap) {
+        if (bitmap.close) {
+            bitmap.close();
+        } else {
+            bitmap.width = 0;
+            bitmap.height = 0;
+        }
+    }
+    
+    evictBitmaps() {
+        for (const [key, entry] of this.bitmaps) {
+            if (this.bitmapBytes <= this.bitmapBudget) break;
+            
+            this.closeBitmap(entry.bitmap);
+            this.bitmaps.delete(key);
+            this.bitmapBytes -= entry.bytes;
+        }
+    }
+    
+    // Text content cache
+    // Shared by the text layer, search and anything else reading the page text
+    getTextContent(page) {
+        const cached = this.texts.get(page);
+        if (cached) {
+            this.texts.delete(page);
+            this.texts.set(page, cached);
+            return cached.promise;
+        }
+        
+        const entry = { promise: page.getTextContent(), bytes: 0 };
+        this.texts.set(page, entry);
+        
+        entry.promise.then(textContent => {
+            if (this.texts.get(page) !== entry) return;
+            entry.bytes = this.estimateTextBytes(textContent);
+            this.textBytes += entry.bytes;
+            this.evictTexts();
+        }, () => {
+            // Failed lookups are retried next time
+            if (this.texts.get(page) === entry) this.texts.delete(page);
+        });
+        
+        return entry.promise;
+    }
+    
+    // Rough size: two bytes per character plus the item's transform and fields
+    estimateTextBytes(textContent) {
+        return textContent.items.reduce((bytes, item) => bytes + (item.str || '').length * 2 + 200, 0);
+    }
+    
+    evictTexts() {
+        for (const [page, entry] of this.texts) {
+            if (this.textBytes <= this.textBudget) break;
+            
+            this.texts.delete(page);
+            this.textBytes -= entry.bytes;
+        }
+    }
+    
+    // Prefetch
+    // Renders the pages into the cache one at a time while the browser is idle,
+    // in the order given. Any foreground render stops the queue.
+    prefetch(pageNums, getViewport) {
+        this.cancelPrefetch();
+        
+        const pdf = this.pdf;
+        if (!pdf) return;
+        const queue = pageNums.filter(pageNum => pageNum >= 1 && pageNum <= pdf.numPages);
+        this.prefetchQueue = queue;
+        
+        // A newer prefetch() or cancelPrefetch() replaces the queue
+        const next = () => {
+            if (this.prefetchQueue !== queue || !queue.length) return;
+            
+            this.prefetchHandle = this.whenIdle(async () => {
+                this.prefetchHandle = null;
+                const pageNum = queue.shift();
+                
+                try {
+                    await this.prefetchPage(pdf, pageNum, getViewport, queue);
+                } catch (error) {
+                    if (!error || error.name !== 'RenderingCancelledException') {
+                        console.error('Error prefetching page', pageNum, error);
+                    }
+                }
+                
+                if (pdf === this.pdf) next();
+            });
+        };
+        next();
+    }
+    
+    // Gives up once queue is no longer the current one, so a page still loading
+    // when a foreground render cancels the prefetch never starts rendering
+    async prefetchPage(pdf, pageNum, getViewport, queue) {
+        const isCurrent = () => pdf === this.pdf && this.prefetchQueue === queue;
+        
+        const page = await pdf.getPage(pageNum);
+        if (!isCurrent()) return;
+        
+        await this.getTextContent(page);
+        if (!isCurrent()) return;
+        
+        const viewport = getViewport(page);
+        const outputScale = this.getOutputScale();
+        const key = this.getCacheKey(pageNum, viewport, outputScale);
+        if (this.bitmaps.has(key)) return;
+        
+        const canvas = document.createElement('canvas');
+        this.sizeCanvas(canvas, viewport, outputScale);
+        
+        const renderTask = this.startRender(page, canvas, viewport, outputScale);
+        this.prefetchTask = renderTask;
+        try {
+            await renderTask.promise;
+        } finally {
+            if (this.prefetchTask === renderTask) this.prefetchTask = null;
+        }
+        
+        await this.storeBitmap(key, canvas);
+        canvas.width = 0;
+        canvas.height = 0;
+        console.log('Prefetched page', pageNum);
+    }
+    
+    whenIdle(callback) {
+        if (typeof requestIdleCallback === 'function') {
+            return { idle: requestIdleCallback(callback, { timeout: 2000 }) };
+        }
+        return { timeout: setTimeout(callback, 100) };
+    }
+    
+    cancelPrefetch() {
+        this.prefetchQueue = [];
+        
+        if (this.prefetchHandle) {
+            if (this.prefetchHandle.idle) cancelIdleCallback(this.prefetchHandle.idle);
+            else clearTimeout(this.prefetchHandle.timeout);
+            this.prefetchHandle = null;
+        }
+        
+        if (this.prefetchTask) {
+            this.prefetchTask.cancel();
+            this.prefetchTask = null;
+        }
+    }
+}
+
+window.scratchXivPageRenderer = new ScratchXivPageRenderer();
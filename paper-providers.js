@@ -0,0 +1,214 @@
+// ScratchXiv - Paper Providers
+// Resolves an arXiv ID/URL or a DOI to paper metadata and a PDF. Each provider
+// implements { name, parse(input), fetchMetadata(id), fetchPdf(id, metadata) }
+// and the registry tries them in order, so a provider can be replaced (e.g. by
+// one pointing at a local stub server) with register() or setEndpoints().
+//
+// Endpoint overrides can also be stored as JSON under localStorage
+// 'scratchxiv_provider_endpoints', e.g. { "arxivApi": "http://localhost:8080/api" }.
+
+class ScratchXivArxivProvider {
+    constructor(registry) {
+        this.name = 'arxiv';
+        this.registry = registry;
+    }
+    
+    // Accepts 2101.00001, 2101.00001v2, hep-th/9901001, arXiv:..., and abs/pdf URLs
+    parse(input) {
+        const value = input.trim()
+            .replace(/^arxiv:\s*/i, '')
+            .replace(/^https?:\/\/(www\.|export\.)?arxiv\.org\/(abs|pdf)\//i, '')
+            .replace(/\.pdf$/i, '')
+            .replace(/^10\.48550\/arxiv\./i, '');
+        
+        const match = /^(\d{4}\.\d{4,5}(v\d+)?|[a-z-]+(\.[A-Z]{2})?\/\d{7}(v\d+)?)$/i.exec(value);
+        return match ? match[1] : null;
+    }
+    
+    async fetchMetadata(id) {
+        const url = `${this.registry.endpoints.arxivApi}?id_list=${encodeURIComponent(id)}`;
+        const response = await this.registry.fetch(url);
+        if (!response.ok) {
+            throw new Error(`arXiv lookup failed (${response.status})`);
+        }
+        
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        const entry = xml.querySelector('entry');
+        const entryId = entry && this.text(entry, 'id');
+        if (!entry || !entryId || entryId.includes('/api/errors')) {
+            throw new Error(`No arXiv paper found for ${id}`);
+        }
+        
+        const published = this.text(entry, 'published');
+        const doiElement = entry.getElementsByTagNameNS('http://arxiv.org/schemas/atom', 'doi')[0];
+        
+        return {
+            title: this.clean(this.text(entry, 'title')),
+            authors: Array.from(entry.querySelectorAll('author > name')).map(name => this.clean(name.textContent)),
+            abstract: this.clean(this.text(entry, 'summary')),
+            year: published ? parseInt(published.slice(0, 4)) : null,
+            arxivId: id,
+            doi: doiElement ? doiElement.textContent.trim() : null,
+            url: `https://arxiv.org/abs/${id}`,
+            source: this.name
+        };
+    }
+    
+    async fetchPdf(id) {
+        const response = await this.registry.fetch(`${this.registry.endpoints.arxivPdf}${id}`);
+        if (!response.ok) {
+            throw new Error(`arXiv PDF download failed (${response.status})`);
+        }
+        return response.blob();
+    }
+    
+    text(element, selector) {
+        const child = element.querySelector(selector);
+        return child ? child.textContent : '';
+    }
+    
+    clean(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+class ScratchXivDoiProvider {
+    constructor(registry) {
+        this.name = 'doi';
+        this.registry = registry;
+    }
+    
+    parse(input) {
+        const value = input.trim()
+            .replace(/^doi:\s*/i, '')
+            .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+        
+        const match = /^(10\.\d{4,9}\/\S+)$/.exec(value);
+        if (!match) return null;
+        
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (error) {
+            // Malformed escapes like "%zz" are not a DOI we can look up
+            return null;
+        }
+    }
+    
+    async fetchMetadata(doi) {
+        const response = await this.registry.fetch(`${this.registry.endpoints.crossref}${encodeURIComponent(doi)}`);
+        if (response.status === 404) {
+            throw new Error(`No paper found for DOI ${doi}`);
+        }
+        if (!response.ok) {
+            throw new Error(`DOI lookup failed (${response.status})`);
+        }
+        
+        const work = (await response.json()).message || {};
+        const dateParts = (work.issued || work.published || {})['date-parts'];
+        
+        return {
+            title: (work.title || [])[0] || doi,
+            authors: (work.author || []).map(a => a.name || [a.given, a.family].filter(Boolean).join(' ')),
+            // Crossref abstracts are JATS XML
+            abstract: (work.abstract || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+            year: dateParts && dateParts[0] && dateParts[0][0] ? dateParts[0][0] : null,
+            doi,
+            venue: (work['container-title'] || [])[0] || null,
+            url: work.URL || `https://doi.org/${doi}`,
+            source: this.name,
+            pdfLinks: (work.link || [])
+                .filter(link => link['content-type'] === 'application/pdf')
+                .map(link => link.URL)
+        };
+    }
+    
+    // Publishers rarely allow cross-origin downloads, so every advertised link is tried
+    async fetchPdf(doi, metadata) {
+        const links = (metadata && metadata.pdfLinks) || [];
+        for (const link of links) {
+            try {
+                const response = await this.registry.fetch(link);
+                const type = response.headers.get('content-type') || '';
+                if (response.ok && type.includes('pdf')) {
+                    return response.blob();
+                }
+            } catch (error) {
+                console.log('PDF link not downloadable:', link, error.message);
+            }
+        }
+        throw new Error('No downloadable PDF is available for this DOI');
+    }
+}
+
+class ScratchXivPaperProviders {
+    constructor() {
+        this.defaultEndpoints = {
+            arxivApi: 'https://export.arxiv.org/api/query',
+            arxivPdf: 'https://arxiv.org/pdf/',
+            crossref: 'https://api.crossref.org/works/'
+        };
+        this.endpoints = { ...this.defaultEndpoints, ...this.loadEndpointOverrides() };
+        this.fetch = (url, options) => window.fetch(url, options);
+        
+        // arXiv first: arXiv DOIs (10.48550/arXiv.*) are fetched from arXiv directly
+        this.providers = [
+            new ScratchXivArxivProvider(this),
+            new ScratchXivDoiProvider(this)
+        ];
+    }
+    
+    loadEndpointOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem('scratchxiv_provider_endpoints')) || {};
+        } catch (error) {
+            console.error('Invalid provider endpoint overrides:', error);
+            return {};
+        }
+    }
+    
+    setEndpoints(endpoints) {
+        this.endpoints = { ...this.defaultEndpoints, ...endpoints };
+    }
+    
+    // Adds a provider, or replaces the one with the same name
+    register(provider) {
+        const index = this.providers.findIndex(p => p.name === provider.name);
+        if (index === -1) {
+            this.providers.unshift(provider);
+        } else {
+            this.providers[index] = provider;
+        }
+    }
+    
+    resolve(input) {
+        for (const provider of this.providers) {
+            const id = provider.parse(input || '');
+            if (id) return { provider, id };
+        }
+        return null;
+    }
+    
+    // Returns { metadata, pdf } where pdf is a Blob, or null with pdfError set
+    // when only the metadata could be fetched
+    async open(input, onProgress = () => {}) {
+        const resolved = this.resolve(input);
+        if (!resolved) {
+            throw new Error('Not a recognized arXiv ID, arXiv URL or DOI');
+        }
+        
+        const { provider, id } = resolved;
+        onProgress(`Looking up ${id}…`);
+        const metadata = await provider.fetchMetadata(id);
+        
+        onProgress(`Downloading “${metadata.title}”…`);
+        try {
+            const pdf = await provider.fetchPdf(id, metadata);
+            return { metadata, pdf, pdfError: null };
+        } catch (error) {
+            console.error('PDF download failed:', error);
+            return { metadata, pdf: null, pdfError: error };
+        }
+    }
+}
+
+window.scratchXivProviders = new ScratchXivPaperProviders();
@@ -0,0 +1,307 @@
+// ScratchXiv - PDF Annotations
+// Writes highlights into a PDF as standard Highlight annotations and drawings as
+// Ink, Square and Line annotations (via pdf-lib), and reads existing Highlight,
+// Ink and Square annotations back out of a document (via PDF.js).
+//
+// A drawing is a highlight with a kind: 'ink' has paths: [[[x, y], ...], ...];
+// 'rect', 'arrow' and 'line' have points: [[x1, y1], [x2, y2]]; all in PDF user space.
+
+class ScratchXivPdfAnnotations {
+    constructor() {
+        this.author = 'ScratchXiv';
+        this.defaultColor = '#fef08a';
+    }
+    
+    hexToRgb(hex) {
+        const value = (hex || this.defaultColor).replace('#', '');
+        const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+        return [0, 2, 4].map(i => parseInt(full.substr(i, 2), 16) / 255);
+    }
+    
+    rgbToHex(rgb) {
+        if (!rgb || rgb.length < 3) return this.defaultColor;
+        return '#' + Array.from(rgb).slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+    }
+    
+    arrowHeadLength(strokeWidth) {
+        return Math.max(6, strokeWidth * 4);
+    }
+    
+    // The two ends of the arrowhead's barbs for an arrow pointing from -> to
+    getArrowHead(from, to, length) {
+        const angle = Math.atan2(to[1] - from[1], to[0] - from[0]);
+        return [-1, 1].map(side => [
+            to[0] - length * Math.cos(angle + side * Math.PI / 6),
+            to[1] - length * Math.sin(angle + side * Math.PI / 6)
+        ]);
+    }
+    
+    // [x1, y1, x2, y2] around everything the drawing paints, stroke included
+    getShapeBounds(shape) {
+        const points = shape.kind === 'ink' ? shape.paths.flat() : shape.points;
+        const width = shape.strokeWidth || 1;
+        const pad = width / 2 + (shape.kind === 'arrow' ? this.arrowHeadLength(width) : 0);
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        return [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad];
+    }
+    
+    // Parses a PDF.js annotation id ("12R", or "12R3" for generation 3) into an object reference
+    parseAnnotationId(id) {
+        const match = /^(\d+)R(\d*)$/.exec(id || '');
+        return match ? { objectNumber: parseInt(match[1]), generation: parseInt(match[2] || '0') } : null;
+    }
+    
+    // Returns the bytes of a copy of the PDF with every highlight written as a Highlight
+    // annotation. Annotations the highlights were imported from are replaced, not duplicated.
+    async writeHighlights(pdfBytes, highlights) {
+        if (typeof PDFLib === 'undefined') {
+            throw new Error('pdf-lib is not loaded');
+        }
+        
+        const { PDFDocument, PDFName, PDFArray, PDFHexString, PDFString } = PDFLib;
+        const doc = await PDFDocument.load(pdfBytes);
+        const context = doc.context;
+        const pages = doc.getPages();
+        
+        const replaced = highlights
+            .map(h => this.parseAnnotationId(h.pdfAnnotationId))
+            .filter(Boolean);
+        
+        if (replaced.length > 0) {
+            pages.forEach(page => {
+                const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+                if (!annots) return;
+                
+                for (let i = annots.size() - 1; i >= 0; i--) {
+                    const ref = annots.get(i);
+                    if (replaced.some(r => ref.objectNumber === r.objectNumber && ref.generationNumber === r.generation)) {
+                        annots.remove(i);
+                    }
+                }
+            });
+        }
+        
+        let written = 0;
+        highlights.forEach(highlight => {
+            const page = pages[highlight.page - 1];
+            if (page && highlight.kind) {
+                page.node.addAnnot(context.register(this.createShapeAnnotation(context, highlight)));
+                written++;
+                return;
+            }
+            
+            const rects = highlight.pdfRects || [];
+            if (!page || rects.length === 0) return;
+            
+            const [r, g, b] = this.hexToRgb(highlight.color);
+            const bounds = [
+                Math.min(...rects.map(rect => rect[0])),
+                Math.min(...rects.map(rect => rect[1])),
+                Math.max(...rects.map(rect => rect[2])),
+                Math.max(...rects.map(rect => rect[3]))
+            ];
+            
+            // Quad points run top-left, top-right, bottom-left, bottom-right per line
+            const quadPoints = [];
+            rects.forEach(([x1, y1, x2, y2]) => {
+                quadPoints.push(x1, y2, x2, y2, x1, y1, x2, y1);
+            });
+            
+            // Appearance stream so every viewer draws the same thing, multiplied over the text
+            const fill = rects
+                .map(([x1, y1, x2, y2]) => `${x1 - bounds[0]} ${y1 - bounds[1]} ${x2 - x1} ${y2 - y1} re`)
+                .join('\n');
+            const appearance = context.register(context.stream(
+                `/GS0 gs ${r} ${g} ${b} rg\n${fill}\nf`,
+                {
+                    Type: 'XObject',
+                    Subtype: 'Form',
+                    BBox: [0, 0, bounds[2] - bounds[0], bounds[3] - bounds[1]],
+                    Matrix: [1, 0, 0, 1, 0, 0],
+                    Resources: {
+                        ExtGState: {
+                            GS0: { Type: 'ExtGState', BM: 'Multiply' }
+                        }
+                    }
+                }
+            ));
+            
+            const contents = highlight.comment || highlight.text || '';
+            const annotation = context.obj({
+                Type: 'Annot',
+                Subtype: 'Highlight',
+                Rect: bounds,
+                QuadPoints: quadPoints,
+                C: [r, g, b],
+                F: 4, // Print
+                AP: { N: appearance }
+            });
+            annotation.set(PDFName.of('Contents'), PDFHexString.fromText(contents));
+            annotation.set(PDFName.of('T'), PDFHexString.fromText(this.author));
+            annotation.set(PDFName.of('NM'), PDFHexString.fromText(`scratchxiv-${highlight.id}`));
+            annotation.set(PDFName.of('M'), PDFString.fromDate(new Date(highlight.createdAt || Date.now())));
+            
+            page.node.addAnnot(context.register(annotation));
+            written++;
+        });
+        
+        console.log('Wrote', written, 'highlight annotations');
+        return doc.save();
+    }
+    
+    createShapeAnnotation(context, shape) {
+        const { PDFName, PDFHexString, PDFString } = PDFLib;
+        const [r, g, b] = this.hexToRgb(shape.color);
+        const width = shape.strokeWidth || 1;
+        const bounds = this.getShapeBounds(shape);
+        const local = ([x, y]) => `${x - bounds[0]} ${y - bounds[1]}`;
+        
+        let drawing;
+        let entries;
+        if (shape.kind === 'ink') {
+            drawing = shape.paths
+                .map(path => path.map((point, i) => `${local(point)} ${i === 0 ? 'm' : 'l'}`).join('\n'))
+                .join('\n');
+            entries = { Subtype: 'Ink', InkList: shape.paths.map(path => path.flat()) };
+        } else if (shape.kind === 'rect') {
+            const [[x1, y1], [x2, y2]] = shape.points;
+            drawing = `${local([Math.min(x1, x2), Math.min(y1, y2)])} ${Math.abs(x2 - x1)} ${Math.abs(y2 - y1)} re`;
+            entries = { Subtype: 'Square' };
+        } else {
+            const [from, to] = shape.points;
+            drawing = `${local(from)} m\n${local(to)} l`;
+            entries = { Subtype: 'Line', L: [...from, ...to], LE: ['None', 'None'] };
+            if (shape.kind === 'arrow') {
+                const [left, right] = this.getArrowHead(from, to, this.arrowHeadLength(width));
+                drawing += `\nS\n${local(left)} m\n${local(to)} l\n${local(right)} l`;
+                entries.LE = ['None', 'OpenArrow'];
+            }
+        }
+        
+        const appearance = context.register(context.stream(
+            `${width} w 1 J 1 j ${r} ${g} ${b} RG\n${drawing}\nS`,
+            {
+                Type: 'XObject',
+                Subtype: 'Form',
+                BBox: [0, 0, bounds[2] - bounds[0], bounds[3] - bounds[1]],
+                Matrix: [1, 0, 0, 1, 0, 0]
+            }
+        ));
+        
+        const annotation = context.obj({
+            Type: 'Annot',
+            ...entries,
+            Rect: bounds,
+            C: [r, g, b],
+            BS: { W: width },
+            F: 4, // Print
+            AP: { N: appearance }
+        });
+        annotation.set(PDFName.of('Contents'), PDFHexString.fromText(shape.comment || ''));
+        annotation.set(PDFName.of('T'), PDFHexString.fromText(this.author));
+        annotation.set(PDFName.of('NM'), PDFHexString.fromText(`scratchxiv-${shape.id}`));
+        annotation.set(PDFName.of('M'), PDFString.fromDate(new Date(shape.createdAt || Date.now())));
+        return annotation;
+    }
+    
+    // Returns the Highlight annotations of a PDF.js document as
+    // [{ annotationId, page, pdfRects, color, contents, text }], and its Ink and
+    // Square annotations as drawings with a kind. Line annotations are left out:
+    // PDF.js normalizes their coordinates, so an arrow's direction is lost.
+    async readHighlights(pdf) {
+        const results = [];
+        
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const annotations = await page.getAnnotations({ intent: 'display' });
+            annotations.forEach(annotation => {
+                const shape = this.readShape(annotation, pageNum);
+                if (shape) results.push(shape);
+            });
+            
+            const highlights = annotations.filter(a => a.subtype === 'Highlight');
+            if (highlights.length === 0) continue;
+            
+            const textContent = await page.getTextContent();
+            
+            highlights.forEach(annotation => {
+                const pdfRects = this.getAnnotationRects(annotation);
+                results.push({
+                    annotationId: annotation.id,
+                    page: pageNum,
+                    pdfRects,
+                    color: this.rgbToHex(annotation.color),
+                    contents: (annotation.contentsObj && annotation.contentsObj.str) || annotation.contents || '',
+                    text: this.getTextInRects(textContent, pdfRects)
+                });
+            });
+        }
+        
+        return results;
+    }
+    
+    readShape(annotation, pageNum) {
+        const strokeWidth = (annotation.borderStyle && annotation.borderStyle.width) || 1;
+        const shape = {
+            annotationId: annotation.id,
+            page: pageNum,
+            color: this.rgbToHex(annotation.color),
+            contents: (annotation.contentsObj && annotation.contentsObj.str) || annotation.contents || '',
+            strokeWidth,
+            text: ''
+        };
+        
+        if (annotation.subtype === 'Ink' && annotation.inkLists && annotation.inkLists.length > 0) {
+            return { ...shape, kind: 'ink', paths: annotation.inkLists.map(list => list.map(p => [p.x, p.y])) };
+        }
+        if (annotation.subtype === 'Square' && annotation.rect) {
+            // The rect includes the border
+            const [x1, y1, x2, y2] = annotation.rect;
+            const inset = strokeWidth / 2;
+            return { ...shape, kind: 'rect', points: [[x1 + inset, y1 + inset], [x2 - inset, y2 - inset]] };
+        }
+        return null;
+    }
+    
+    getAnnotationRects(annotation) {
+        const quads = annotation.quadPoints;
+        if (!quads || quads.length === 0) {
+            const [x1, y1, x2, y2] = annotation.rect;
+            return [[Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]];
+        }
+        
+        // Lists of {x, y} points, or a flat array of eight numbers per quad
+        const pointLists = Array.isArray(quads[0])
+            ? quads.map(quad => quad.map(point => [point.x, point.y]))
+            : Array.from({ length: quads.length / 8 }, (_, i) => {
+                const q = Array.from(quads).slice(i * 8, i * 8 + 8);
+                return [[q[0], q[1]], [q[2], q[3]], [q[4], q[5]], [q[6], q[7]]];
+            });
+        
+        return pointLists.map(points => {
+            const xs = points.map(p => p[0]);
+            const ys = points.map(p => p[1]);
+            return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+        });
+    }
+    
+    // Text of the items whose center falls inside one of the rects
+    getTextInRects(textContent, pdfRects) {
+        const parts = [];
+        
+        textContent.items.forEach(item => {
+            if (!item.str || !item.str.trim()) return;
+            
+            const x = item.transform[4] + item.width / 2;
+            const y = item.transform[5] + item.height / 2;
+            if (pdfRects.some(([x1, y1, x2, y2]) => x >= x1 && x <= x2 && y >= y1 && y <= y2)) {
+                parts.push(item.str.trim());
+            }
+        });
+        
+        return parts.join(' ');
+    }
+}
+
+window.scratchXivPdfAnnotations = new ScratchXivPdfAnnotations();
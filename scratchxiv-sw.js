@@ -0,0 +1,165 @@
+// ScratchXiv - Service Worker
+// Precaches the app shell and the vendored libraries so the reader starts without
+// a network connection (the papers themselves are already in IndexedDB), and
+// receives PDFs and links shared to the installed app (share_target in
+// scratchxiv.webmanifest).
+//
+// Files under vendor/ are served cache-first, so bump SHELL_VERSION when one of
+// them changes. The app's own files are served from the cache and refreshed in
+// the background, so an edit shows up on the next load.
+
+const SHELL_VERSION = 'v3';
+const SHELL_CACHE = `scratchxiv-shell-${SHELL_VERSION}`;
+const FONT_CACHE = 'scratchxiv-fonts';
+const SHARE_CACHE = 'scratchxiv-shared';
+
+const APP_FILES = [
+    './scratchxiv.html',
+    './scratchxiv.css',
+    './storage.js',
+    './zip.js',
+    './pdf-annotations.js',
+    './page-renderer.js',
+    './library-index.js',
+    './markdown.js',
+    './paper-providers.js',
+    './citations.js',
+    './commands.js',
+    './sync.js',
+    './scratchxiv.js',
+    './scratchxiv.webmanifest',
+    './icons/scratchxiv-192.png',
+    './icons/scratchxiv-512.png',
+    './icons/scratchxiv-maskable-512.png'
+];
+
+const VENDOR_FILES = [
+    './vendor/pdfjs/pdf.min.js',
+    './vendor/pdfjs/pdf.worker.min.js',
+    './vendor/pdf-lib/pdf-lib.min.js',
+    './vendor/marked/marked.min.js',
+    './vendor/dompurify/purify.min.js',
+    './vendor/katex/katex.min.js',
+    './vendor/katex/katex.min.css',
+    './vendor/katex/fonts/KaTeX_AMS-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Caligraphic-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_Caligraphic-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Fraktur-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_Fraktur-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Main-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_Main-BoldItalic.woff2',
+    './vendor/katex/fonts/KaTeX_Main-Italic.woff2',
+    './vendor/katex/fonts/KaTeX_Main-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Math-BoldItalic.woff2',
+    './vendor/katex/fonts/KaTeX_Math-Italic.woff2',
+    './vendor/katex/fonts/KaTeX_SansSerif-Bold.woff2',
+    './vendor/katex/fonts/KaTeX_SansSerif-Italic.woff2',
+    './vendor/katex/fonts/KaTeX_SansSerif-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Script-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size1-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size2-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size3-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Size4-Regular.woff2',
+    './vendor/katex/fonts/KaTeX_Typewriter-Regular.woff2'
+];
+
+const toUrl = path => new URL(path, self.location).href;
+const APP_URLS = new Set(APP_FILES.map(toUrl));
+const VENDOR_URLS = new Set(VENDOR_FILES.map(toUrl));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll([...APP_FILES, ...VENDOR_FILES]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('scratchxiv-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    
+    if (request.method === 'POST' && url.searchParams.has('share-target')) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+    
+    // Web fonts are cached the first time they load online
+    if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(staleWhileRevalidate(event, FONT_CACHE, request, request));
+        return;
+    }
+    
+    // Anything else on the site (other pages, arXiv and DOI lookups) goes to the network
+    const key = url.origin + url.pathname;
+    if (VENDOR_URLS.has(key)) {
+        event.respondWith(cacheFirst(request, key));
+    } else if (APP_URLS.has(key)) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, request, key));
+    }
+});
+
+async function cacheFirst(request, key) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+}
+
+async function staleWhileRevalidate(event, cacheName, request, key) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    
+    // Stylesheets from other origins load without CORS and come back opaque
+    const update = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(key, response.clone());
+        return response;
+    }).catch(error => {
+        console.log('Network unavailable for', request.url, error.message);
+        return null;
+    });
+    
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+    return (await update) || Response.error();
+}
+
+// Keeps the shared PDFs for the page, which picks them up from ?shared=<count>;
+// a shared link is passed along as ?open=<text>
+async function receiveShare(request) {
+    const form = await request.formData();
+    const files = form.getAll('pdfs').filter(file => file && file.size > 0);
+    
+    const cache = await caches.open(SHARE_CACHE);
+    await Promise.all(files.map((file, i) => cache.put(`./shared/${Date.now()}-${i}`, new Response(file, {
+        headers: {
+            'Content-Type': file.type || 'application/pdf',
+            'X-File-Name': encodeURIComponent(file.name || 'shared.pdf')
+        }
+    }))));
+    
+    const target = new URL('./scratchxiv.html', self.location);
+    if (files.length > 0) target.searchParams.set('shared', files.length);
+    
+    const link = form.get('url') || form.get('text');
+    if (link) target.searchParams.set('open', link);
+    
+    console.log('Received share with', files.length, 'file(s)');
+    return Response.redirect(target.href, 303);
+}
@@ -7,7 +7,7 @@ if (typeof pdfjsLib === 'undefined') {
 
 // Configure PDF.js worker
 if (typeof pdfjsLib !== 'undefined') {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdfjs/pdf.worker.min.js';
 }
 
 // Application State
@@ -20,9 +20,81 @@ class ScratchXivApp {
         this.currentPage = 1;
         this.totalPages = 0;
         this.scale = 1.0;
+        this.zoomMode = 'custom'; // 'custom', 'fit-width' or 'fit-page'
+        this.rotation = 0; // clockwise degrees added to the pages' own rotation
+        this.pageColors = 'normal'; // 'normal', 'dark' or 'sepia'
+        this.pendingZoom = null; // { scale, clientX, clientY } of a pinch or Ctrl+wheel in progress
+        this.pendingZoomTimeout = null;
         this.selectedHighlightColor = '#fef08a';
         this.highlightMode = true;
         this.storageReady = false;
+        this.storageInfo = null;
+        this.viewMode = 'single'; // 'single' or 'continuous'
+        this.pageViews = new Map(); // pageNum -> page view (continuous mode)
+        this.singlePageView = null; // page view backed by #pdfCanvasContainer (single mode)
+        this.splitView = null; // second pane, see Split View Methods
+        this.syncBase = new Map(); // tabId -> JSON of the tab as last shared with other windows
+        this.syncMeta = null; // JSON of the tab order, closed tabs and groups as last shared
+        this.syncQueue = Promise.resolve(); // changes from other windows, applied one at a time
+        this.tabViewKeys = ['lastPage', 'lastScale', 'zoomMode', 'rotation', 'pageColors', 'viewMode', 'lastOpenedAt'];
+        this.renderGeneration = 0;
+        this.pageObserver = null;
+        this.scrollTrackingFrame = null;
+        this.tabStateSaveTimeout = null;
+        this.pageTextCache = new Map(); // pageNum -> { text, offsets } for currentPdf
+        this.searchState = { query: '', hits: [], index: -1 };
+        this.searchGeneration = 0;
+        this.searchMarkTimeout = null;
+        this.libraryIndexing = null; // promise of the running background indexing pass
+        this.librarySearchGeneration = 0;
+        this.highlightFilter = { color: '', tag: '', fromPage: null, toPage: null };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 100;
+        this.notesEdit = null; // { tabId, before } while a burst of typing is in progress
+        this.notesEditTimeout = null;
+        this.closedTabs = []; // [{ tab, index, closedAt }], most recent first
+        this.closedTabsLimit = 20;
+        this.toastTimeout = null;
+        this.notesMode = localStorage.getItem('scratchxiv_notes_mode') || 'edit'; // 'edit', 'split' or 'preview'
+        this.notesPreviewTimeout = null;
+        this.flashHighlightId = null;
+        this.flashHighlightTimeout = null;
+        this.sidebarOpen = localStorage.getItem('scratchxiv_sidebar') === 'open';
+        this.sidebarPanel = localStorage.getItem('scratchxiv_sidebar_panel') || 'outline'; // 'outline' or 'thumbnails'
+        this.sidebarGeneration = 0; // bumped per document so stale outline/thumbnail work is dropped
+        this.outlineEntries = []; // [{ element, pageNum }] of the rendered outline, in document order
+        this.thumbnails = new Map(); // pageNum -> { element, canvas, rendered }
+        this.thumbnailObserver = null;
+        this.thumbnailQueue = Promise.resolve();
+        this.sidebarPage = null; // page the sidebar selection was last updated for
+        this.navHistory = { back: [], forward: [] }; // locations left by following links
+        this.navHistoryLimit = 50;
+        this.linkPreviewTimeout = null;
+        this.linkPreviewGeneration = 0;
+        this.linkPreviewTask = null;
+        this.tabGroups = []; // [{ id, name, color, collapsed }], tabs refer to them by groupId
+        this.tabGroupColors = ['#c45d3e', '#3b82f6', '#16a34a', '#a855f7', '#d97706', '#0891b2', '#db2777'];
+        this.draggedTabId = null;
+        this.collectionView = { layout: 'grid', sort: 'lastOpened', direction: 'desc' };
+        this.readingTimer = null;
+        this.readingIdleLimit = 2 * 60 * 1000; // no input for this long pauses the clock
+        this.readingPageThreshold = 5; // seconds on a page before it counts as viewed
+        this.readingUnsavedSeconds = 0;
+        this.lastActivityAt = Date.now();
+        this.readingStatsView = 'paper'; // 'paper' or 'library'
+        this.readingSections = { pdf: null, sections: [] }; // top-level outline of currentPdf
+        this.drawTool = null; // 'ink', 'rect', 'arrow', 'eraser', 'snip' or null
+        this.drawSettings = { color: '#e11d48', width: 2, ...this.loadDrawSettings() };
+        this.drawing = null; // { view, kind, points, element } while a stroke is drawn
+        this.erasedIds = null; // highlights removed during the current eraser drag
+        this.shapeLabels = { ink: 'Freehand drawing', rect: 'Rectangle', arrow: 'Arrow', line: 'Line' };
+        this.snipScale = 3; // render scale of snipped regions, about 216 dpi
+        this.snipMaxPixels = 16000000;
+        this.snipUrls = new Map(); // image id -> object URL, or null when the image is missing
+        this.paletteItems = []; // { title, category, shortcut, run } shown in the command palette
+        this.paletteIndex = 0;
+        this.capturingShortcutFor = null; // command id while the settings wait for a key
         
         this.init();
     }
@@ -40,12 +112,15 @@ class ScratchXivApp {
         
         console.log('Loading from storage...');
         await this.loadFromStorage();
+        this.resetSyncBase();
         console.log('Binding events...');
+        this.registerCommands();
         this.bindEvents();
         console.log('Applying theme...');
         this.applyTheme();
         console.log('Rendering tabs...');
         this.renderTabs();
+        this.renderClosedTabs();
         
         // Create default tab if no tabs exist
         if (this.tabs.length === 0) {
@@ -56,10 +131,26 @@ class ScratchXivApp {
             await this.switchToTab(this.activeTabId || this.tabs[0].id);
         }
         
+        this.startSync();
+        this.startReadingTracker();
+        this.watchDevicePixelRatio();
+        this.registerServiceWorker();
+        this.bindLaunchQueue();
+        await this.receiveSharedItems();
+        
         console.log('ScratchXiv initialized successfully!');
         
         // Show storage info
-        this.logStorageInfo();
+        this.updateStorageInfo();
+        
+        // Extract text of PDFs that aren't in the library index yet
+        this.indexLibrary();
+        
+        // PDFs stored before duplicate detection existed need a content hash
+        if (this.storageReady) {
+            window.scratchXivStorage.backfillPdfHashes()
+                .catch(error => console.error('Error hashing stored PDFs:', error));
+        }
     }
     
     // Storage Methods
@@ -80,6 +171,10 @@ class ScratchXivApp {
             if (data) {
                 this.tabs = data.tabs || [];
                 this.activeTabId = data.activeTabId;
+                this.closedTabs = data.closedTabs || [];
+                this.tabGroups = data.tabGroups || [];
+                this.collectionView = { ...this.collectionView, ...(data.collectionView || {}) };
+                this.normalizeTabOrder();
                 console.log('Loaded', this.tabs.length, 'tabs from storage');
             }
             
@@ -93,20 +188,14 @@ class ScratchXivApp {
     }
     
     async saveToStorage() {
+        let data = null;
         try {
-            const data = {
-                tabs: this.tabs.map(tab => ({
-                    id: tab.id,
-                    name: tab.name,
-                    pdfName: tab.pdfName,
-                    pdfPath: tab.pdfPath,
-                    hasPdf: !!tab.hasPdf,
-                    notes: tab.notes,
-                    highlights: tab.highlights,
-                    lastPage: tab.lastPage,
-                    lastScale: tab.lastScale
-                })),
-                activeTabId: this.activeTabId
+            data = {
+                tabs: this.tabs.map(tab => this.serializeTab(tab)),
+                activeTabId: this.activeTabId,
+                closedTabs: this.closedTabs,
+                tabGroups: this.tabGroups,
+                collectionView: this.collectionView
             };
             
             if (this.storageReady) {
@@ -117,6 +206,7 @@ class ScratchXivApp {
             }
             
             console.log('Saved to storage');
+            this.broadcastChanges();
         } catch (e) {
             console.error('Error saving to storage:', e);
             // Try localStorage as fallback
@@ -131,13 +221,109 @@ class ScratchXivApp {
         }
     }
     
-    async logStorageInfo() {
-        if (this.storageReady) {
-            const info = await window.scratchXivStorage.getStorageInfo();
-            if (info) {
-                console.log('Storage Info:', info);
-            }
+    // The persisted form of a tab, shared by storage and workspace export
+    serializeTab(tab) {
+        return {
+            id: tab.id,
+            name: tab.name,
+            pdfName: tab.pdfName,
+            pdfPath: tab.pdfPath,
+            hasPdf: !!tab.hasPdf,
+            notes: tab.notes,
+            highlights: tab.highlights,
+            lastPage: tab.lastPage,
+            totalPages: tab.totalPages || null,
+            lastScale: tab.lastScale,
+            zoomMode: tab.zoomMode || 'custom',
+            rotation: tab.rotation || 0,
+            pageColors: tab.pageColors || 'normal',
+            viewMode: tab.viewMode || 'single',
+            metadata: tab.metadata || null,
+            reading: tab.reading || null,
+            groupId: tab.groupId || null,
+            lastOpenedAt: tab.lastOpenedAt || null
+        };
+    }
+    
+    async updateStorageInfo() {
+        const indicator = document.getElementById('storageIndicator');
+        const label = document.getElementById('storageLabel');
+        const bar = document.getElementById('storageBar');
+        
+        if (!this.storageReady) {
+            label.textContent = 'Local only';
+            indicator.title = 'IndexedDB is unavailable. Notes are kept in localStorage and PDFs are not saved.';
+            indicator.classList.add('warning');
+            this.storageInfo = null;
+            return;
+        }
+        
+        const info = await window.scratchXivStorage.getStorageInfo();
+        this.storageInfo = info;
+        if (!info) return;
+        
+        console.log('Storage Info:', info);
+        
+        if (info.usage !== null && info.quota) {
+            const percent = info.usage / info.quota * 100;
+            label.textContent = `${this.formatBytes(info.usage)} / ${this.formatBytes(info.quota)}`;
+            bar.style.width = Math.min(100, Math.max(percent, 1)) + '%';
+            indicator.classList.toggle('warning', percent > 90);
+        } else {
+            label.textContent = this.formatBytes(info.pdfBytes);
+            bar.style.width = '0%';
+        }
+        indicator.title = `${info.pdfCount} PDFs stored (${this.formatBytes(info.pdfBytes)})`;
+        
+        if (document.getElementById('storageModal').classList.contains('visible')) {
+            this.renderStorageDetails();
+        }
+    }
+    
+    renderStorageDetails() {
+        const details = document.getElementById('storageDetails');
+        const info = this.storageInfo;
+        
+        if (!info) {
+            details.innerHTML = '<p class="empty-state">Storage details are unavailable.</p>';
+            return;
+        }
+        
+        const rows = [
+            ['Used', info.usage !== null ? this.formatBytes(info.usage) : 'Unknown'],
+            ['Available', info.quota ? this.formatBytes(info.quota) : 'Unknown'],
+            ['Stored PDFs', `${info.pdfCount} (${this.formatBytes(info.pdfBytes)})`],
+            ['Papers', String(this.tabs.length)],
+            ['Persistent', info.persisted === null ? 'Unknown' : (info.persisted ? 'Yes' : 'No, may be cleared under storage pressure')]
+        ];
+        
+        details.innerHTML = rows.map(([name, value]) => `
+            <div class="storage-row">
+                <span class="storage-row-name">${name}</span>
+                <span class="storage-row-value">${this.escapeHtml(value)}</span>
+            </div>
+        `).join('');
+        
+        document.getElementById('persistStorageBtn').style.display = info.persisted === false ? '' : 'none';
+    }
+    
+    async showStorageModal() {
+        document.getElementById('storageModal').classList.add('visible');
+        this.renderStorageDetails();
+        await this.updateStorageInfo();
+    }
+    
+    hideStorageModal() {
+        document.getElementById('storageModal').classList.remove('visible');
+    }
+    
+    async requestPersistentStorage() {
+        const granted = await window.scratchXivStorage.requestPersistence();
+        console.log('Persistent storage', granted ? 'granted' : 'denied');
+        if (!granted) {
+            alert('The browser declined persistent storage. Keeping the app bookmarked or installed usually helps.');
         }
+        await this.updateStorageInfo();
     }
     
     // Theme Methods
@@ -158,7 +344,7 @@ class ScratchXivApp {
     // Tab Methods
     createNewTab(name = 'Untitled Paper') {
         const tab = {
-            id: Date.now().toString(),
+            id: this.generateTabId(),
             name: name,
             pdfName: null,
             pdfPath: null,
@@ -166,7 +352,14 @@ class ScratchXivApp {
             notes: '',
             highlights: [],
             lastPage: 1,
-            lastScale: 1.0
+            totalPages: null,
+            lastScale: 1.0,
+            zoomMode: 'custom',
+            rotation: 0,
+            pageColors: 'normal',
+            viewMode: 'single',
+            groupId: null,
+            lastOpenedAt: null
         };
         
         this.tabs.push(tab);
@@ -181,6 +374,8 @@ class ScratchXivApp {
     async switchToTab(tabId) {
         console.log('Switching to tab:', tabId);
         
+        this.commitNotesEdit();
+        
         // Save current tab state BEFORE switching
         if (this.activeTabId && this.activeTabId !== tabId) {
             const oldTab = this.getActiveTab();
@@ -188,6 +383,10 @@ class ScratchXivApp {
                 oldTab.notes = document.getElementById('notesTextarea').value;
                 oldTab.lastPage = this.currentPage;
                 oldTab.lastScale = this.scale;
+                oldTab.zoomMode = this.zoomMode;
+                oldTab.rotation = this.rotation;
+                oldTab.pageColors = this.pageColors;
+                oldTab.viewMode = this.viewMode;
                 console.log('Saved state for tab:', oldTab.name, 'notes length:', oldTab.notes.length);
             }
         }
@@ -196,13 +395,22 @@ class ScratchXivApp {
         const tab = this.getActiveTab();
         
         if (tab) {
+            tab.lastOpenedAt = Date.now();
+            
             // Load tab state
             this.currentPage = tab.lastPage || 1;
             this.scale = tab.lastScale || 1.0;
+            this.zoomMode = tab.zoomMode || 'custom';
+            this.rotation = tab.rotation || 0;
+            this.pageColors = tab.pageColors || 'normal';
+            this.viewMode = tab.viewMode || 'single';
+            this.updateViewModeUI();
+            this.applyPageColors();
             
             // Update notes - force update
             const notesTextarea = document.getElementById('notesTextarea');
             notesTextarea.value = tab.notes || '';
+            this.renderNotesPreview();
             console.log('Loaded notes for tab:', tab.name, 'notes length:', (tab.notes || '').length);
             
             // Render PDF if available
@@ -222,22 +430,41 @@ class ScratchXivApp {
         await this.saveToStorage();
     }
     
-    async closeTab(tabId) {
+    // Moves to the tab delta places away, wrapping around
+    async switchTabBy(delta) {
+        const index = this.tabs.findIndex(t => t.id === this.activeTabId);
+        const next = this.tabs[(index + delta + this.tabs.length) % this.tabs.length];
+        if (next) await this.switchToTab(next.id);
+    }
+    
+    // Closing only moves the tab to the recently closed list; its PDF stays in
+    // IndexedDB until the entry is purged, so the close can be undone.
+    async closeTab(tabId, record = true) {
         console.log('Closing tab:', tabId);
         const index = this.tabs.findIndex(t => t.id === tabId);
         if (index === -1) return;
         
-        // Delete PDF from IndexedDB
-        if (this.storageReady) {
-            try {
-                await window.scratchXivStorage.deletePdf(tabId);
-                console.log('Deleted PDF from IndexedDB for tab:', tabId);
-            } catch (error) {
-                console.error('Error deleting PDF:', error);
-            }
+        if (tabId === this.activeTabId) {
+            this.commitNotesEdit();
+            this.saveCurrentTabState();
         }
         
+        const tab = this.tabs[index];
+        this.closedTabs.unshift({ tab: this.serializeTab(tab), index, closedAt: Date.now() });
+        
+        // Only the most recent closed tabs are kept
+        const expired = this.closedTabs.splice(this.closedTabsLimit);
+        for (const entry of expired) {
+            await this.deleteTabData(entry.tab.id);
+        }
+        
+        // History entries can no longer bring expired tabs back
+        const expiredIds = new Set(expired.map(entry => entry.tab.id));
+        this.undoStack = this.undoStack.filter(command => !expiredIds.has(command.tabId));
+        this.redoStack = this.redoStack.filter(command => !expiredIds.has(command.tabId));
+        
         this.tabs.splice(index, 1);
+        if (this.splitView && this.splitView.tabId === tabId) this.closeSplitView();
         
         if (this.tabs.length === 0) {
             this.createNewTab();
@@ -246,18 +473,544 @@ class ScratchXivApp {
             await this.switchToTab(this.tabs[newIndex].id);
         }
         
+        if (record) {
+            this.recordCommand({
+                label: `Close "${tab.name}"`,
+                tabId,
+                undo: () => this.restoreClosedTab(tabId, false),
+                redo: () => this.closeTab(tabId, false)
+            });
+        }
+        
         this.renderTabs();
+        this.renderClosedTabs();
+        await this.saveToStorage();
+    }
+    
+    async restoreClosedTab(tabId, record = true) {
+        const entryIndex = this.closedTabs.findIndex(entry => entry.tab.id === tabId);
+        if (entryIndex === -1) return;
+        
+        const [entry] = this.closedTabs.splice(entryIndex, 1);
+        const tab = entry.tab;
+        this.tabs.splice(Math.min(entry.index, this.tabs.length), 0, tab);
+        this.normalizeTabOrder();
+        console.log('Restored closed tab:', tab.name);
+        
+        if (record) {
+            this.recordCommand({
+                label: `Reopen "${tab.name}"`,
+                tabId,
+                undo: () => this.closeTab(tabId, false),
+                redo: () => this.restoreClosedTab(tabId, false)
+            });
+        }
+        
+        this.renderClosedTabs();
+        await this.switchToTab(tabId);
+    }
+    
+    // Permanently removes a closed tab together with its stored PDF
+    async purgeClosedTab(tabId) {
+        const entryIndex = this.closedTabs.findIndex(entry => entry.tab.id === tabId);
+        if (entryIndex === -1) return;
+        
+        this.closedTabs.splice(entryIndex, 1);
+        await this.deleteTabData(tabId);
+        
+        // History entries can no longer bring this tab back
+        this.undoStack = this.undoStack.filter(command => command.tabId !== tabId);
+        this.redoStack = this.redoStack.filter(command => command.tabId !== tabId);
+        
+        this.normalizeTabOrder();
+        this.renderClosedTabs();
         await this.saveToStorage();
+        console.log('Purged closed tab:', tabId);
+    }
+    
+    async purgeAllClosedTabs() {
+        const ids = this.closedTabs.map(entry => entry.tab.id);
+        for (const id of ids) {
+            await this.purgeClosedTab(id);
+        }
+    }
+    
+    async deleteTabData(tabId) {
+        // Delete PDF from IndexedDB
+        if (this.storageReady) {
+            try {
+                await window.scratchXivStorage.deletePdf(tabId);
+                console.log('Deleted PDF from IndexedDB for tab:', tabId);
+                this.updateStorageInfo();
+            } catch (error) {
+                console.error('Error deleting PDF:', error);
+            }
+            
+            try {
+                await this.deleteSnipImages(tabId);
+            } catch (error) {
+                console.error('Error deleting snipped images:', error);
+            }
+        }
+        
+        if (this.storageReady) {
+            window.scratchXivLibraryIndex.deleteEntry(tabId)
+                .catch(error => console.error('Error removing tab from library index:', error));
+        }
+    }
+    
+    renderClosedTabs() {
+        const btn = document.getElementById('closedTabsBtn');
+        const list = document.getElementById('closedTabsList');
+        if (!btn || !list) return;
+        
+        btn.disabled = this.closedTabs.length === 0;
+        btn.title = this.closedTabs.length > 0
+            ? `Recently Closed (${this.closedTabs.length})`
+            : 'No Recently Closed Papers';
+        
+        if (this.closedTabs.length === 0) {
+            list.innerHTML = '<p class="empty-state">No recently closed papers.</p>';
+            document.getElementById('closedTabsMenu').classList.remove('visible');
+            return;
+        }
+        
+        list.innerHTML = '';
+        this.closedTabs.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'closed-tab-item';
+            item.innerHTML = `
+                <div class="closed-tab-info">
+                    <span class="closed-tab-name">${entry.tab.hasPdf ? '📄 ' : ''}${this.escapeHtml(entry.tab.name)}</span>
+                    <span class="closed-tab-time">${new Date(entry.closedAt).toLocaleString()}</span>
+                </div>
+                <button class="btn btn-secondary restore-tab">Restore</button>
+                <button class="btn btn-icon purge-tab" title="Delete permanently">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3,6 5,6 21,6"/>
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+                    </svg>
+                </button>
+            `;
+            item.querySelector('.restore-tab').addEventListener('click', () => {
+                document.getElementById('closedTabsMenu').classList.remove('visible');
+                this.restoreClosedTab(entry.tab.id);
+            });
+            item.querySelector('.purge-tab').addEventListener('click', () => {
+                if (confirm(`Permanently delete "${entry.tab.name}" and its PDF?`)) {
+                    this.purgeClosedTab(entry.tab.id);
+                }
+            });
+            list.appendChild(item);
+        });
     }
     
-    renameTab(tabId, newName) {
+    renameTab(tabId, newName, record = true) {
         const tab = this.tabs.find(t => t.id === tabId);
         if (tab) {
+            const oldName = tab.name;
             tab.name = newName;
             this.renderTabs();
             this.saveToStorage();
             console.log('Renamed tab to:', newName);
+            
+            if (record && oldName !== newName) {
+                this.recordCommand({
+                    label: 'Rename tab',
+                    tabId,
+                    undo: () => this.renameTab(tabId, oldName, false),
+                    redo: () => this.renameTab(tabId, newName, false)
+                });
+            }
+        }
+    }
+    
+    // Tab Group Methods
+    // The tabs of a group always sit next to each other in this.tabs, so the
+    // group's position in the tab bar is that of its first tab.
+    getTabGroup(tab) {
+        return (tab && tab.groupId && this.tabGroups.find(g => g.id === tab.groupId)) || null;
+    }
+    
+    // Imported workspaces can carry any string, so only hex colors are used
+    getTabGroupColor(group) {
+        return /^#[0-9a-f]{3,8}$/i.test(group.color || '') ? group.color : this.tabGroupColors[0];
+    }
+    
+    // Pulls each group's tabs together at its first tab and drops groups that
+    // neither an open nor a recently closed tab belongs to
+    normalizeTabOrder() {
+        const ordered = [];
+        const placed = new Set();
+        this.tabs.forEach(tab => {
+            if (!this.getTabGroup(tab)) {
+                ordered.push(tab);
+            } else if (!placed.has(tab.groupId)) {
+                placed.add(tab.groupId);
+                ordered.push(...this.tabs.filter(t => t.groupId === tab.groupId));
+            }
+        });
+        this.tabs = ordered;
+        
+        const used = new Set([...this.tabs, ...this.closedTabs.map(entry => entry.tab)].map(t => t.groupId));
+        this.tabGroups = this.tabGroups.filter(group => used.has(group.id));
+    }
+    
+    // Undo can bring back a group that was dropped with its last tab, so the
+    // group object itself is re-added here
+    setTabGroupId(tab, group) {
+        if (group && !this.tabGroups.includes(group)) this.tabGroups.push(group);
+        tab.groupId = group ? group.id : null;
+    }
+    
+    // Moves a tab to toIndex (counted without the tab itself). group is the group
+    // the tab joins, null to leave its group, or undefined to keep it.
+    moveTab(tabId, toIndex, group = undefined, record = true) {
+        const index = this.tabs.findIndex(t => t.id === tabId);
+        if (index === -1) return;
+        
+        const tab = this.tabs[index];
+        const before = { index, group: this.getTabGroup(tab) };
+        
+        this.tabs.splice(index, 1);
+        this.tabs.splice(Math.max(0, Math.min(toIndex, this.tabs.length)), 0, tab);
+        if (group !== undefined) this.setTabGroupId(tab, group);
+        this.normalizeTabOrder();
+        
+        const after = { index: this.tabs.indexOf(tab), group: this.getTabGroup(tab) };
+        if (record && (after.index !== before.index || after.group !== before.group)) {
+            let label = `Move "${tab.name}"`;
+            if (after.group !== before.group) {
+                label = after.group ? `Add "${tab.name}" to "${after.group.name}"` : `Remove "${tab.name}" from group`;
+            }
+            this.recordCommand({
+                label,
+                tabId,
+                undo: () => this.moveTab(tabId, before.index, before.group, false),
+                redo: () => this.moveTab(tabId, after.index, after.group, false)
+            });
+        }
+        
+        this.renderTabs();
+        this.saveToStorage();
+    }
+    
+    // Joins the end of an existing group, or steps out just past the current one
+    moveTabToGroup(tabId, group) {
+        const index = this.tabs.findIndex(t => t.id === tabId);
+        if (index === -1) return;
+        
+        const groupIds = this.tabs.filter(t => t.id !== tabId).map(t => t.groupId || null);
+        const anchor = group && groupIds.includes(group.id) ? group.id : this.tabs[index].groupId;
+        const last = anchor ? groupIds.lastIndexOf(anchor) : -1;
+        this.moveTab(tabId, last === -1 ? index : last + 1, group);
+    }
+    
+    createTabGroup(tabId, name) {
+        let id = Date.now();
+        while (this.tabGroups.some(g => g.id === `group-${id}`)) id++;
+        
+        const group = {
+            id: `group-${id}`,
+            name,
+            color: this.tabGroupColors[this.tabGroups.length % this.tabGroupColors.length],
+            collapsed: false
+        };
+        this.moveTabToGroup(tabId, group);
+        console.log('Created tab group:', name);
+    }
+    
+    renameTabGroup(groupId, name, record = true) {
+        const group = this.tabGroups.find(g => g.id === groupId);
+        if (!group || group.name === name) return;
+        
+        const oldName = group.name;
+        group.name = name;
+        
+        if (record) {
+            this.recordCommand({
+                label: 'Rename group',
+                undo: () => this.renameTabGroup(groupId, oldName, false),
+                redo: () => this.renameTabGroup(groupId, name, false)
+            });
+        }
+        
+        this.renderTabs();
+        this.saveToStorage();
+    }
+    
+    toggleTabGroup(groupId) {
+        const group = this.tabGroups.find(g => g.id === groupId);
+        if (!group) return;
+        
+        group.collapsed = !group.collapsed;
+        this.renderTabs();
+        this.saveToStorage();
+    }
+    
+    // Leaves the tabs where they are, just outside any group
+    ungroupTabs(groupId, record = true) {
+        const group = this.tabGroups.find(g => g.id === groupId);
+        if (!group) return;
+        
+        const tabIds = this.tabs.filter(t => t.groupId === groupId).map(t => t.id);
+        this.assignTabsToGroup(tabIds, null);
+        
+        if (record) {
+            this.recordCommand({
+                label: `Ungroup "${group.name}"`,
+                undo: () => this.assignTabsToGroup(tabIds, group),
+                redo: () => this.ungroupTabs(groupId, false)
+            });
+        }
+    }
+    
+    assignTabsToGroup(tabIds, group) {
+        this.tabs.filter(t => tabIds.includes(t.id)).forEach(tab => this.setTabGroupId(tab, group));
+        this.normalizeTabOrder();
+        this.renderTabs();
+        this.saveToStorage();
+    }
+    
+    createTabGroupChip(group) {
+        const count = this.tabs.filter(t => t.groupId === group.id).length;
+        const chip = document.createElement('div');
+        chip.className = `tab-group-chip ${group.collapsed ? 'collapsed' : ''}`;
+        chip.dataset.groupId = group.id;
+        chip.style.setProperty('--group-color', this.getTabGroupColor(group));
+        chip.title = `${group.name} (${count} paper${count === 1 ? '' : 's'}) - click to ${group.collapsed ? 'expand' : 'collapse'}`;
+        chip.innerHTML = `
+            <span class="tab-group-name">${this.escapeHtml(group.name)}</span>
+            ${group.collapsed ? `<span class="tab-group-count">${count}</span>` : ''}
+        `;
+        
+        chip.addEventListener('click', () => this.toggleTabGroup(group.id));
+        chip.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+            this.showGroupNameModal(group.id);
+        });
+        chip.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showTabMenu(e.clientX, e.clientY, [
+                { label: group.collapsed ? 'Expand Group' : 'Collapse Group', action: () => this.toggleTabGroup(group.id) },
+                { label: 'Rename Group…', action: () => this.showGroupNameModal(group.id) },
+                { label: 'Ungroup', action: () => this.ungroupTabs(group.id) }
+            ]);
+        });
+        
+        return chip;
+    }
+    
+    getTabMenuItems(tab) {
+        const current = this.getTabGroup(tab);
+        const items = [
+            { label: 'Rename…', action: () => this.showRenameModal(tab.id) },
+            { label: 'Add to New Group…', action: () => this.showGroupNameModal(null, tab.id) }
+        ];
+        
+        this.tabGroups
+            .filter(group => group !== current && this.tabs.some(t => t.groupId === group.id))
+            .forEach(group => {
+                items.push({ label: `Move to "${group.name}"`, action: () => this.moveTabToGroup(tab.id, group) });
+            });
+        if (current) {
+            items.push({ label: 'Remove from Group', action: () => this.moveTabToGroup(tab.id, null) });
+        }
+        
+        items.push('separator', { label: 'Close', action: () => this.closeTab(tab.id) });
+        return items;
+    }
+    
+    // items are { label, action } or 'separator'
+    showTabMenu(x, y, items) {
+        const menu = document.getElementById('tabMenu');
+        menu.innerHTML = '';
+        
+        items.forEach(item => {
+            if (item === 'separator') {
+                menu.appendChild(document.createElement('hr'));
+                return;
+            }
+            const btn = document.createElement('button');
+            btn.className = 'tab-menu-item';
+            btn.textContent = item.label;
+            btn.addEventListener('click', () => {
+                this.hideTabMenu();
+                item.action();
+            });
+            menu.appendChild(btn);
+        });
+        
+        menu.classList.add('visible');
+        
+        // Keep the menu inside the window
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+        menu.style.top = `${Math.max(8, Math.min(y, window.innerHeight - rect.height - 8))}px`;
+    }
+    
+    hideTabMenu() {
+        const menu = document.getElementById('tabMenu');
+        if (menu) menu.classList.remove('visible');
+    }
+    
+    // Drag Reordering
+    bindTabDragging() {
+        const container = document.getElementById('tabsContainer');
+        
+        container.addEventListener('dragover', (e) => {
+            if (!this.draggedTabId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            
+            this.clearTabDropMarkers();
+            const target = this.getTabDropTarget(e);
+            if (target) {
+                target.element.classList.add(target.groupId ? 'drop-into' : (target.after ? 'drop-after' : 'drop-before'));
+            }
+        });
+        
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) this.clearTabDropMarkers();
+        });
+        
+        container.addEventListener('drop', (e) => {
+            if (!this.draggedTabId) return;
+            e.preventDefault();
+            
+            const tabId = this.draggedTabId;
+            const target = this.getTabDropTarget(e);
+            this.draggedTabId = null;
+            this.clearTabDropMarkers();
+            this.dropTab(tabId, target);
+        });
+    }
+    
+    // Returns { element, tabId, after } or { element, groupId }, or null past the last tab
+    getTabDropTarget(e) {
+        const element = e.target.closest('.tab, .tab-group-chip');
+        if (element && element.classList.contains('tab-group-chip')) {
+            return { element, groupId: element.dataset.groupId };
+        }
+        if (element) {
+            const rect = element.getBoundingClientRect();
+            return { element, tabId: element.dataset.tabId, after: e.clientX > rect.left + rect.width / 2 };
+        }
+        
+        // In a gap between tabs: the first tab right of the pointer
+        const next = Array.from(document.querySelectorAll('#tabsContainer .tab')).find(tabEl => {
+            const rect = tabEl.getBoundingClientRect();
+            return rect.left + rect.width / 2 > e.clientX;
+        });
+        return next ? { element: next, tabId: next.dataset.tabId, after: false } : null;
+    }
+    
+    clearTabDropMarkers() {
+        document.querySelectorAll('#tabsContainer .drop-before, #tabsContainer .drop-after, #tabsContainer .drop-into')
+            .forEach(el => el.classList.remove('drop-before', 'drop-after', 'drop-into'));
+    }
+    
+    // A tab dropped next to another one joins that tab's group
+    dropTab(tabId, target) {
+        if (!target) {
+            this.moveTab(tabId, this.tabs.length, null);
+            return;
+        }
+        if (target.groupId) {
+            const group = this.tabGroups.find(g => g.id === target.groupId);
+            if (group) this.moveTabToGroup(tabId, group);
+            return;
+        }
+        if (target.tabId === tabId) return;
+        
+        const others = this.tabs.filter(t => t.id !== tabId);
+        const targetIndex = others.findIndex(t => t.id === target.tabId);
+        if (targetIndex === -1) return;
+        this.moveTab(tabId, targetIndex + (target.after ? 1 : 0), this.getTabGroup(others[targetIndex]));
+    }
+    
+    // History Methods
+    // A command is { label, tabId?, undo, redo }; undo/redo re-apply the change
+    // without recording it again.
+    recordCommand(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    async undo() {
+        this.commitNotesEdit();
+        const command = this.undoStack.pop();
+        if (!command) return;
+        
+        await command.undo();
+        this.redoStack.push(command);
+        this.showToast(`Undo: ${command.label}`);
+        console.log('Undid:', command.label);
+    }
+    
+    async redo() {
+        this.commitNotesEdit();
+        const command = this.redoStack.pop();
+        if (!command) return;
+        
+        await command.redo();
+        this.undoStack.push(command);
+        this.showToast(`Redo: ${command.label}`);
+        console.log('Redid:', command.label);
+    }
+    
+    // Typing is grouped into one history entry per pause
+    trackNotesEdit(tab, previousNotes) {
+        if (!this.notesEdit || this.notesEdit.tabId !== tab.id) {
+            this.commitNotesEdit();
+            this.notesEdit = { tabId: tab.id, before: previousNotes };
+        }
+        
+        clearTimeout(this.notesEditTimeout);
+        this.notesEditTimeout = setTimeout(() => this.commitNotesEdit(), 1000);
+    }
+    
+    commitNotesEdit() {
+        clearTimeout(this.notesEditTimeout);
+        const edit = this.notesEdit;
+        this.notesEdit = null;
+        if (!edit) return;
+        
+        const tab = this.tabs.find(t => t.id === edit.tabId);
+        if (!tab || tab.notes === edit.before) return;
+        
+        const after = tab.notes;
+        this.recordCommand({
+            label: 'Edit notes',
+            tabId: edit.tabId,
+            undo: () => this.setTabNotes(edit.tabId, edit.before),
+            redo: () => this.setTabNotes(edit.tabId, after)
+        });
+    }
+    
+    setTabNotes(tabId, notes) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        tab.notes = notes;
+        if (tabId === this.activeTabId) {
+            document.getElementById('notesTextarea').value = notes;
+            this.renderNotesPreview();
         }
+        this.saveToStorage();
+    }
+    
+    showToast(message) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        
+        toast.textContent = message;
+        toast.classList.add('visible');
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => toast.classList.remove('visible'), 2000);
     }
     
     getActiveTab() {
@@ -270,18 +1023,39 @@ class ScratchXivApp {
             tab.notes = document.getElementById('notesTextarea').value;
             tab.lastPage = this.currentPage;
             tab.lastScale = this.scale;
+            tab.zoomMode = this.zoomMode;
+            tab.rotation = this.rotation;
+            tab.pageColors = this.pageColors;
+            tab.viewMode = this.viewMode;
             this.saveToStorage();
         }
     }
     
+    scheduleTabStateSave() {
+        clearTimeout(this.tabStateSaveTimeout);
+        this.tabStateSaveTimeout = setTimeout(() => this.saveCurrentTabState(), 500);
+    }
+    
     renderTabs() {
         const container = document.getElementById('tabsContainer');
         container.innerHTML = '';
+        let currentGroupId = null;
         
         this.tabs.forEach(tab => {
+            const group = this.getTabGroup(tab);
+            if (group && group.id !== currentGroupId) {
+                container.appendChild(this.createTabGroupChip(group));
+            }
+            currentGroupId = group ? group.id : null;
+            
+            // A collapsed group still shows the tab being read
+            if (group && group.collapsed && tab.id !== this.activeTabId) return;
+            
             const tabEl = document.createElement('div');
-            tabEl.className = `tab ${tab.id === this.activeTabId ? 'active' : ''}`;
+            tabEl.className = `tab ${tab.id === this.activeTabId ? 'active' : ''} ${group ? 'grouped' : ''}`;
             tabEl.dataset.tabId = tab.id;
+            tabEl.draggable = true;
+            if (group) tabEl.style.setProperty('--group-color', this.getTabGroupColor(group));
             
             // Add title with PDF info
             let title = tab.name;
@@ -296,7 +1070,7 @@ class ScratchXivApp {
             tabEl.innerHTML = `
                 ${pdfIndicator}
                 <span class="tab-title">${this.escapeHtml(tab.name)}</span>
-                <span class="tab-close" data-tab-id="${tab.id}">
+                <span class="tab-close" data-tab-id="${this.escapeHtml(tab.id)}">
                     <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="18" y1="6" x2="6" y2="18"/>
                         <line x1="6" y1="6" x2="18" y2="18"/>
@@ -316,20 +1090,38 @@ class ScratchXivApp {
                 }
             });
             
-            const closeBtn = tabEl.querySelector('.tab-close');
-            closeBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                await this.closeTab(tab.id);
+            tabEl.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showTabMenu(e.clientX, e.clientY, this.getTabMenuItems(tab));
+            });
+            
+            tabEl.addEventListener('dragstart', (e) => {
+                this.draggedTabId = tab.id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('application/x-scratchxiv-tab', tab.id);
+                tabEl.classList.add('dragging');
+            });
+            tabEl.addEventListener('dragend', () => {
+                this.draggedTabId = null;
+                tabEl.classList.remove('dragging');
+                this.clearTabDropMarkers();
+            });
+            
+            const closeBtn = tabEl.querySelector('.tab-close');
+            closeBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.closeTab(tab.id);
             });
             
             container.appendChild(tabEl);
         });
         
+        if (this.splitView) this.updateSplitUI();
         console.log('Rendered', this.tabs.length, 'tabs');
     }
     
     // PDF Methods
-    async loadPdf(file) {
+    async loadPdf(file, hash = null) {
         console.log('Loading PDF file:', file.name, 'Size:', this.formatBytes(file.size));
         try {
             const tab = this.getActiveTab();
@@ -338,35 +1130,248 @@ class ScratchXivApp {
                 return;
             }
             
+            // Details of a paper this tab held before don't describe the new one
+            if (tab.hasPdf && tab.pdfName !== file.name) {
+                tab.metadata = null;
+                tab.reading = null;
+            }
+            
             // Save file info
             tab.pdfName = file.name;
             tab.pdfPath = file.name; // We can't store actual path due to security, but store name
             tab.hasPdf = true;
             
+            const fileTitle = file.name.replace(/\.pdf$/i, '');
             if (tab.name === 'Untitled Paper') {
-                tab.name = file.name.replace('.pdf', '');
+                tab.name = (tab.metadata && tab.metadata.title) || fileTitle;
                 this.renderTabs();
             }
             
             // Save PDF to IndexedDB
             if (this.storageReady) {
                 console.log('Saving PDF to IndexedDB...');
-                await window.scratchXivStorage.savePdf(tab.id, file, file.name);
+                await window.scratchXivStorage.savePdf(tab.id, file, file.name, hash);
                 console.log('PDF saved to IndexedDB');
+                this.updateStorageInfo();
             }
             
             // Load and render PDF
             const arrayBuffer = await file.arrayBuffer();
             await this.renderPdfFromArrayBuffer(arrayBuffer);
             
+            // A title found in the PDF beats the file name
+            await this.extractTabMetadata(tab, this.currentPdf);
+            if (tab.name === fileTitle && tab.metadata.title && tab.metadata.title !== fileTitle) {
+                tab.name = tab.metadata.title;
+                this.renderTabs();
+            }
+            
+            // Bring in highlights other readers already stored in the file
+            await this.importPdfHighlights(true);
+            
             await this.saveToStorage();
             console.log('PDF loaded successfully');
+            
+            // Index the new PDF from the already open document
+            this.indexTabPdf(tab, this.currentPdf);
         } catch (error) {
             console.error('Error loading PDF:', error);
             alert('Error loading PDF file: ' + error.message);
         }
     }
     
+    isEmptyTab(tab) {
+        return !!tab && !tab.hasPdf && !tab.notes && tab.highlights.length === 0;
+    }
+    
+    isPdfFile(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    }
+    
+    // Opens each PDF in its own tab (the active tab is used while it is empty).
+    // A file whose content is already stored offers the tab that has it instead.
+    async importPdfFiles(files) {
+        const pdfFiles = Array.from(files).filter(file => this.isPdfFile(file));
+        const skipped = files.length - pdfFiles.length;
+        
+        for (const file of pdfFiles) {
+            let hash = null;
+            if (this.storageReady) {
+                try {
+                    hash = await window.scratchXivStorage.hashBlob(file);
+                } catch (error) {
+                    console.error('Error hashing PDF:', error);
+                }
+            }
+            
+            const existing = await this.findTabWithPdf(hash);
+            if (existing) {
+                const choice = await this.askDuplicatePdf(file, existing);
+                if (choice === 'skip') continue;
+                if (choice === 'open') {
+                    if (existing.closed) {
+                        await this.restoreClosedTab(existing.tab.id);
+                    } else {
+                        await this.switchToTab(existing.tab.id);
+                    }
+                    continue;
+                }
+            }
+            
+            if (!this.isEmptyTab(this.getActiveTab())) {
+                this.createNewTab();
+            }
+            await this.loadPdf(file, hash);
+        }
+        
+        if (skipped > 0) {
+            alert(`${skipped} file${skipped === 1 ? ' was' : 's were'} skipped because ${skipped === 1 ? 'it is' : 'they are'} not PDF.`);
+        }
+    }
+    
+    // Returns { tab, closed } for an open or recently closed tab holding this content
+    async findTabWithPdf(hash) {
+        if (!hash || !this.storageReady) return null;
+        
+        try {
+            const tabIds = await window.scratchXivStorage.findPdfsByHash(hash);
+            for (const tabId of tabIds) {
+                const tab = this.tabs.find(t => t.id === tabId);
+                if (tab) return { tab, closed: false };
+                
+                const entry = this.closedTabs.find(e => e.tab.id === tabId);
+                if (entry) return { tab: entry.tab, closed: true };
+            }
+        } catch (error) {
+            console.error('Error looking up duplicate PDF:', error);
+        }
+        return null;
+    }
+    
+    // Resolves to 'open', 'import' or 'skip'
+    askDuplicatePdf(file, existing) {
+        return new Promise(resolve => {
+            const modal = document.getElementById('duplicatePdfModal');
+            const where = existing.closed ? 'a recently closed tab' : 'the tab';
+            document.getElementById('duplicatePdfMessage').textContent =
+                `"${file.name}" is already in your library as ${where} "${existing.tab.name}".`;
+            document.getElementById('duplicatePdfOpen').textContent = existing.closed ? 'Reopen Tab' : 'Go to Tab';
+            
+            const buttons = {
+                duplicatePdfOpen: 'open',
+                duplicatePdfImport: 'import',
+                duplicatePdfSkip: 'skip'
+            };
+            const finish = (choice) => {
+                modal.classList.remove('visible');
+                Object.keys(buttons).forEach(id => {
+                    document.getElementById(id).onclick = null;
+                });
+                resolve(choice);
+            };
+            Object.entries(buttons).forEach(([id, choice]) => {
+                document.getElementById(id).onclick = () => finish(choice);
+            });
+            
+            modal.classList.add('visible');
+        });
+    }
+    
+    // Shows the drop zone while files are dragged over the window
+    bindFileDrop() {
+        const overlay = document.getElementById('dropOverlay');
+        let depth = 0;
+        
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+        
+        window.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth++;
+            overlay.classList.add('visible');
+        });
+        window.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        window.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            depth = Math.max(0, depth - 1);
+            if (depth === 0) overlay.classList.remove('visible');
+        });
+        window.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth = 0;
+            overlay.classList.remove('visible');
+            this.importPdfFiles(e.dataTransfer.files);
+        });
+    }
+    
+    // Fills in the tab's missing paper details from the PDF itself
+    async extractTabMetadata(tab, pdf) {
+        const citations = window.scratchXivCitations;
+        const extracted = await citations.extractFromPdf(pdf);
+        tab.metadata = citations.normalize(citations.merge(tab.metadata, extracted), tab.name);
+        console.log('Extracted paper details:', tab.metadata.title, tab.metadata.authors.length, 'authors');
+    }
+    
+    // Fetches a paper by arXiv ID/URL or DOI through the paper providers
+    async openById() {
+        const input = document.getElementById('openByIdInput');
+        const confirmBtn = document.getElementById('confirmOpenById');
+        const value = input.value.trim();
+        if (!value || confirmBtn.disabled) return;
+        
+        confirmBtn.disabled = true;
+        try {
+            const { metadata, pdf, pdfError } = await window.scratchXivProviders.open(value, message => {
+                this.setOpenByIdStatus(message);
+            });
+            
+            // Reuse the active tab while it is still empty
+            let tab = this.getActiveTab();
+            if (!this.isEmptyTab(tab)) {
+                tab = this.createNewTab(metadata.title);
+            }
+            
+            const { pdfLinks, ...stored } = metadata;
+            tab.metadata = window.scratchXivCitations.normalize(stored);
+            tab.name = metadata.title;
+            this.renderTabs();
+            
+            if (pdf) {
+                const fileName = (metadata.arxivId || metadata.doi).replace(/[\/:]/g, '_') + '.pdf';
+                await this.loadPdf(new File([pdf], fileName, { type: 'application/pdf' }));
+            } else {
+                await this.saveToStorage();
+            }
+            
+            this.hideOpenByIdModal();
+            console.log('Opened paper:', metadata.title, 'via', metadata.source);
+            
+            if (pdfError) {
+                alert(`Found "${metadata.title}", but its PDF could not be downloaded (${pdfError.message}). Load the PDF file manually.`);
+            }
+        } catch (error) {
+            console.error('Error opening paper:', error);
+            // fetch() rejects with a TypeError when the request never got a response
+            const message = error instanceof TypeError
+                ? 'The service could not be reached. It may be offline or block requests from this page.'
+                : error.message;
+            this.setOpenByIdStatus(message, true);
+        } finally {
+            confirmBtn.disabled = false;
+        }
+    }
+    
+    setOpenByIdStatus(message, isError = false) {
+        const status = document.getElementById('openByIdStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
     async loadPdfFromIndexedDB(tabId) {
         if (!this.storageReady) {
             console.log('IndexedDB not ready');
@@ -381,6 +1386,13 @@ class ScratchXivApp {
                 const arrayBuffer = await pdfData.blob.arrayBuffer();
                 await this.renderPdfFromArrayBuffer(arrayBuffer);
                 console.log('PDF loaded from IndexedDB successfully');
+                
+                // Tabs from before paper details existed get them on first open
+                const tab = this.tabs.find(t => t.id === tabId);
+                if (tab && !tab.metadata && this.currentPdf) {
+                    await this.extractTabMetadata(tab, this.currentPdf);
+                    this.saveToStorage();
+                }
             } else {
                 console.log('No PDF found in IndexedDB for tab:', tabId);
                 this.clearPdfViewer();
@@ -397,14 +1409,24 @@ class ScratchXivApp {
             
             this.currentPdf = await pdfjsLib.getDocument({ data: bytes }).promise;
             this.totalPages = this.currentPdf.numPages;
+            this.pageTextCache = new Map();
+            window.scratchXivPageRenderer.setDocument(this.currentPdf);
+            this.renderGeneration++;
+            this.resetSearch();
+            this.resetNavHistory();
+            
+            const tab = this.getActiveTab();
+            if (tab) tab.totalPages = this.totalPages;
+            
+            await this.migrateLegacyHighlights(tab);
             
             document.getElementById('totalPages').textContent = this.totalPages;
             document.getElementById('currentPageInput').max = this.totalPages;
             
             document.getElementById('pdfPlaceholder').classList.add('hidden');
-            document.getElementById('pdfCanvasContainer').classList.add('visible');
             
-            await this.renderPage();
+            await this.renderDocument();
+            this.buildSidebar();
             console.log('PDF rendered, total pages:', this.totalPages);
         } catch (error) {
             console.error('Error rendering PDF:', error);
@@ -412,9 +1434,28 @@ class ScratchXivApp {
         }
     }
     
+    async renderDocument() {
+        this.updateViewModeUI();
+        
+        if (this.viewMode === 'continuous') {
+            document.getElementById('pdfCanvasContainer').classList.remove('visible');
+            await this.buildContinuousView();
+        } else {
+            this.teardownContinuousView();
+            document.getElementById('pdfCanvasContainer').classList.add('visible');
+            await this.renderPage();
+        }
+    }
     
     clearPdfViewer() {
+        this.teardownContinuousView();
         this.currentPdf = null;
+        this.singlePageView = null;
+        this.pageTextCache = new Map();
+        window.scratchXivPageRenderer.setDocument(null);
+        this.renderGeneration++;
+        this.resetSearch();
+        this.clearSidebar();
         this.totalPages = 0;
         this.currentPage = 1;
         
@@ -429,6 +1470,8 @@ class ScratchXivApp {
         
         document.getElementById('textLayer').innerHTML = '';
         document.getElementById('highlightLayer').innerHTML = '';
+        document.getElementById('linkLayer').innerHTML = '';
+        this.resetNavHistory();
         
         console.log('PDF viewer cleared');
     }
@@ -439,36 +1482,61 @@ class ScratchXivApp {
             return;
         }
         
+        if (this.viewMode === 'continuous') {
+            this.relayoutContinuousView();
+            return;
+        }
+        
         console.log('Rendering page', this.currentPage, 'at scale', this.scale);
         
+        // Each call supersedes the previous one; an older call that is still
+        // waiting finds the generation changed and stops
+        const generation = ++this.renderGeneration;
+        const isCurrent = () => generation === this.renderGeneration;
+        const pageNum = this.currentPage;
+        const renderer = window.scratchXivPageRenderer;
+        
         try {
-            const page = await this.currentPdf.getPage(this.currentPage);
-            const viewport = page.getViewport({ scale: this.scale });
+            const page = await this.currentPdf.getPage(pageNum);
+            if (!isCurrent()) return;
+            this.applyFitZoom(page);
+            const viewport = this.getPageViewport(page);
             
             const canvas = document.getElementById('pdfCanvas');
-            const ctx = canvas.getContext('2d');
-            
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
-            
             const container = document.getElementById('pdfCanvasContainer');
             container.style.width = viewport.width + 'px';
             container.style.height = viewport.height + 'px';
+            container.dataset.pageNumber = pageNum;
+            
+            const drawn = await renderer.render(page, canvas, viewport);
+            if (!drawn || !isCurrent()) return;
             
-            await page.render({
-                canvasContext: ctx,
-                viewport: viewport
-            }).promise;
+            this.singlePageView = {
+                pageNum,
+                page,
+                viewport,
+                container,
+                canvas,
+                textLayer: document.getElementById('textLayer'),
+                highlightLayer: document.getElementById('highlightLayer'),
+                linkLayer: document.getElementById('linkLayer'),
+                rendered: true
+            };
             
             // Render text layer for selection
-            await this.renderTextLayer(page, viewport);
+            const textRendered = await this.renderTextLayer(page, viewport, this.singlePageView.textLayer, isCurrent);
+            if (!textRendered) return;
+            this.renderLinkLayer(this.singlePageView);
             
             // Render highlights
             this.renderHighlights();
+            this.renderSearchMark(this.singlePageView);
             
             // Update UI
-            document.getElementById('currentPageInput').value = this.currentPage;
-            document.getElementById('zoomLevel').textContent = Math.round(this.scale * 100) + '%';
+            this.updatePageUI();
+            
+            // Flipping forward is the common case, so the next page goes first
+            renderer.prefetch([pageNum + 1, pageNum - 1, pageNum + 2], page => this.getPageViewport(page));
             
             console.log('Page rendered successfully');
         } catch (error) {
@@ -477,26 +1545,78 @@ class ScratchXivApp {
         }
     }
     
-    async renderTextLayer(page, viewport) {
-        const textLayer = document.getElementById('textLayer');
-        textLayer.innerHTML = '';
-        textLayer.style.width = viewport.width + 'px';
-        textLayer.style.height = viewport.height + 'px';
+    // Browser zoom or moving the window to another screen changes the pixel ratio;
+    // re-render so pages stay sharp
+    watchDevicePixelRatio() {
+        if (!window.matchMedia) return;
+        
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            console.log('Device pixel ratio changed to', window.devicePixelRatio);
+            this.renderPage();
+            this.watchDevicePixelRatio();
+        }, { once: true });
+    }
+    
+    updatePageUI() {
+        document.getElementById('currentPageInput').value = this.currentPage;
+        this.updateZoomUI();
+        this.updateSidebarSelection();
+    }
+    
+    // The viewer's rotation is on top of the rotation the page has in the PDF
+    getPageViewport(page) {
+        return page.getViewport({ scale: this.scale, rotation: this.getPageRotation(page) });
+    }
+    
+    getPageRotation(page) {
+        return (page.rotate + this.rotation) % 360;
+    }
+    
+    // Page text is the concatenation of the text content items, with a newline after
+    // each item that ends a line. Highlight text ranges are character offsets into it.
+    buildPageText(textContent) {
+        let text = '';
+        const offsets = [];
+        
+        textContent.items.forEach(item => {
+            offsets.push(text.length);
+            text += item.str;
+            if (item.hasEOL) text += '\n';
+        });
         
+        return { text, offsets };
+    }
+    
+    // Returns false when isCurrent() reports that a newer render took over the
+    // layer while the text content was loading
+    async renderTextLayer(page, viewport, textLayer, isCurrent = () => true) {
         try {
-            const textContent = await page.getTextContent();
+            const textContent = await window.scratchXivPageRenderer.getTextContent(page);
+            if (!isCurrent()) return false;
+            
+            textLayer.innerHTML = '';
+            textLayer.style.width = viewport.width + 'px';
+            textLayer.style.height = viewport.height + 'px';
             
-            textContent.items.forEach(item => {
+            const { offsets } = this.buildPageText(textContent);
+            
+            textContent.items.forEach((item, index) => {
                 const span = document.createElement('span');
                 const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+                // Rotated pages (or rotated text) turn the baseline away from horizontal
+                const angle = Math.atan2(tx[1], tx[0]);
+                const fontHeight = Math.hypot(tx[2], tx[3]);
                 
                 span.textContent = item.str;
                 span.style.position = 'absolute';
-                span.style.left = tx[4] + 'px';
-                span.style.top = (tx[5] - tx[0]) + 'px';
-                span.style.fontSize = Math.abs(tx[0]) + 'px';
+                span.style.left = (tx[4] + fontHeight * Math.sin(angle)) + 'px';
+                span.style.top = (tx[5] - fontHeight * Math.cos(angle)) + 'px';
+                span.style.fontSize = fontHeight + 'px';
                 span.style.fontFamily = item.fontName || 'sans-serif';
                 span.style.transformOrigin = '0% 0%';
+                if (angle !== 0) span.style.transform = `rotate(${angle}rad)`;
+                span.dataset.offset = offsets[index];
                 
                 // Make text selectable
                 span.style.userSelect = 'text';
@@ -509,279 +1629,4539 @@ class ScratchXivApp {
         } catch (error) {
             console.error('Error rendering text layer:', error);
         }
+        return true;
     }
     
-    // Navigation Methods
-    goToPage(pageNum) {
-        if (!this.currentPdf) return;
+    // Continuous Scroll Methods
+    async buildContinuousView() {
+        this.teardownContinuousView();
         
-        pageNum = Math.max(1, Math.min(pageNum, this.totalPages));
-        if (pageNum !== this.currentPage) {
-            this.currentPage = pageNum;
-            this.renderPage();
-            this.saveCurrentTabState();
-            console.log('Navigated to page:', pageNum);
+        const pdf = this.currentPdf;
+        const viewer = document.getElementById('pdfViewer');
+        const pagesContainer = document.getElementById('pdfPages');
+        pagesContainer.classList.add('visible');
+        
+        // Pages within one and a half viewports of the visible area are rendered,
+        // everything further away is released to keep memory bounded
+        this.pageObserver = new IntersectionObserver(
+            entries => this.handlePageVisibility(entries),
+            { root: viewer, rootMargin: '150% 0px' }
+        );
+        
+        // Fit modes fit the current page; the others are laid out at the same scale
+        this.applyFitZoom(await pdf.getPage(this.currentPage));
+        
+        for (let pageNum = 1; pageNum <= this.totalPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            
+            // Tab switched or mode toggled while pages were being laid out
+            if (pdf !== this.currentPdf || this.viewMode !== 'continuous') return;
+            
+            const view = this.createPageView(pageNum, page);
+            pagesContainer.appendChild(view.container);
+            this.pageViews.set(pageNum, view);
         }
+        
+        this.pageViews.forEach(view => this.pageObserver.observe(view.container));
+        this.scrollToPage(this.currentPage);
+        this.updatePageUI();
+        console.log('Continuous view built with', this.pageViews.size, 'pages');
     }
     
-    nextPage() {
-        this.goToPage(this.currentPage + 1);
+    teardownContinuousView() {
+        if (this.pageObserver) {
+            this.pageObserver.disconnect();
+            this.pageObserver = null;
+        }
+        
+        this.pageViews.forEach(view => this.releasePageView(view));
+        this.pageViews.clear();
+        
+        const pagesContainer = document.getElementById('pdfPages');
+        pagesContainer.innerHTML = '';
+        pagesContainer.classList.remove('visible');
     }
     
-    prevPage() {
-        this.goToPage(this.currentPage - 1);
+    createPageView(pageNum, page) {
+        const container = document.createElement('div');
+        container.className = 'pdf-page';
+        container.dataset.pageNumber = pageNum;
+        
+        const canvas = document.createElement('canvas');
+        const textLayer = document.createElement('div');
+        textLayer.className = 'text-layer';
+        const highlightLayer = document.createElement('div');
+        highlightLayer.className = 'highlight-layer';
+        const linkLayer = document.createElement('div');
+        linkLayer.className = 'link-layer';
+        
+        container.appendChild(canvas);
+        container.appendChild(textLayer);
+        container.appendChild(highlightLayer);
+        container.appendChild(linkLayer);
+        
+        const view = {
+            pageNum,
+            page,
+            viewport: null,
+            container,
+            canvas,
+            textLayer,
+            highlightLayer,
+            linkLayer,
+            rendered: false,
+            rendering: null // token of the render in progress
+        };
+        this.sizePageView(view);
+        return view;
     }
     
-    // Zoom Methods
-    setZoom(newScale) {
-        newScale = Math.max(0.25, Math.min(3, newScale));
-        if (newScale !== this.scale) {
-            this.scale = newScale;
-            this.renderPage();
-            this.saveCurrentTabState();
-            console.log('Zoom set to:', Math.round(newScale * 100) + '%');
-        }
+    sizePageView(view) {
+        view.viewport = this.getPageViewport(view.page);
+        view.container.style.width = view.viewport.width + 'px';
+        view.container.style.height = view.viewport.height + 'px';
     }
     
-    zoomIn() {
-        this.setZoom(this.scale + 0.25);
+    handlePageVisibility(entries) {
+        entries.forEach(entry => {
+            const view = this.pageViews.get(parseInt(entry.target.dataset.pageNumber));
+            if (!view) return;
+            
+            if (entry.isIntersecting) {
+                this.renderPageView(view);
+            } else {
+                this.releasePageView(view);
+            }
+        });
     }
     
-    zoomOut() {
-        this.setZoom(this.scale - 0.25);
+    async renderPageView(view) {
+        if (view.rendered || view.rendering) return;
+        
+        const { page, viewport, canvas } = view;
+        const token = {};
+        view.rendering = token;
+        // Released (or released and rendered again) in the meantime
+        const isCurrent = () => view.rendering === token;
+        
+        try {
+            const drawn = await window.scratchXivPageRenderer.render(page, canvas, viewport);
+            if (!drawn || !isCurrent()) return;
+        } catch (error) {
+            if (isCurrent()) view.rendering = null;
+            console.error('Error rendering page', view.pageNum, error);
+            return;
+        }
+        
+        view.rendered = true;
+        const textRendered = await this.renderTextLayer(page, viewport, view.textLayer, isCurrent);
+        if (!textRendered) return;
+        view.rendering = null;
+        
+        this.renderLinkLayer(view);
+        this.renderPageHighlights(view);
+        this.renderSearchMark(view);
     }
     
-    // Highlight Methods
-    addHighlight(text, rects, color) {
-        const tab = this.getActiveTab();
-        if (!tab) return;
+    releasePageView(view) {
+        window.scratchXivPageRenderer.cancel(view.canvas);
+        view.rendering = null;
         
-        const highlight = {
-            id: Date.now().toString() + Math.random(),
-            text: text,
-            page: this.currentPage,
-            rects: rects, // Array of rectangles for multi-line selections
-            color: color,
-            scale: this.scale
-        };
+        // Shrinking the canvas frees its backing store
+        view.canvas.width = 0;
+        view.canvas.height = 0;
+        view.textLayer.innerHTML = '';
+        view.highlightLayer.innerHTML = '';
+        view.linkLayer.innerHTML = '';
+        view.rendered = false;
+    }
+    
+    relayoutContinuousView() {
+        if (!this.pageObserver) return;
         
-        tab.highlights.push(highlight);
-        this.renderHighlights();
-        this.renderHighlightsList();
-        this.saveToStorage();
-        console.log('Added highlight on page', this.currentPage, 'with', rects.length, 'rectangles');
+        const current = this.pageViews.get(this.currentPage);
+        if (current) this.applyFitZoom(current.page);
+        
+        // Observing again reports the current intersection of every page,
+        // which re-renders the visible ones at the new scale
+        this.pageObserver.disconnect();
+        this.pageViews.forEach(view => {
+            this.releasePageView(view);
+            this.sizePageView(view);
+        });
+        this.pageViews.forEach(view => this.pageObserver.observe(view.container));
+        
+        this.scrollToPage(this.currentPage);
+        this.updatePageUI();
     }
     
-    deleteHighlight(highlightId) {
-        const tab = this.getActiveTab();
-        if (!tab) return;
+    scrollToPage(pageNum) {
+        const view = this.pageViews.get(pageNum);
+        if (!view) return;
         
-        const beforeCount = tab.highlights.length;
-        tab.highlights = tab.highlights.filter(h => h.id !== highlightId);
-        const afterCount = tab.highlights.length;
+        const viewer = document.getElementById('pdfViewer');
+        const offset = view.container.getBoundingClientRect().top - viewer.getBoundingClientRect().top;
+        viewer.scrollTop += offset - 24;
+    }
+    
+    handleViewerScroll() {
+        if (this.viewMode !== 'continuous' || this.scrollTrackingFrame) return;
         
-        this.renderHighlights();
-        this.renderHighlightsList();
-        this.saveToStorage();
-        console.log('Deleted highlight:', highlightId, '(removed', beforeCount - afterCount, 'highlight)');
+        this.scrollTrackingFrame = requestAnimationFrame(() => {
+            this.scrollTrackingFrame = null;
+            this.updateCurrentPageFromScroll();
+        });
     }
     
-    renderHighlights() {
-        const tab = this.getActiveTab();
-        const highlightLayer = document.getElementById('highlightLayer');
-        highlightLayer.innerHTML = '';
+    updateCurrentPageFromScroll() {
+        if (this.pageViews.size === 0) return;
         
-        if (!tab) return;
+        const viewerRect = document.getElementById('pdfViewer').getBoundingClientRect();
+        const probe = viewerRect.top + viewerRect.height / 3;
         
-        const pageHighlights = tab.highlights.filter(h => h.page === this.currentPage);
+        // The page in view is the last one whose top edge is above the probe line
+        let visiblePage = 1;
+        for (const [pageNum, view] of this.pageViews) {
+            if (view.container.getBoundingClientRect().top > probe) break;
+            visiblePage = pageNum;
+        }
         
-        pageHighlights.forEach(highlight => {
-            // Handle both old format (single rect) and new format (multiple rects)
-            const rects = highlight.rects || [highlight.rect];
-            
-            // Scale the rectangles based on current scale vs original scale
-            const scaleRatio = this.scale / highlight.scale;
-            
-            // Create a div for each rectangle in the highlight
-            rects.forEach(rect => {
-                const div = document.createElement('div');
-                div.className = 'highlight';
-                div.dataset.highlightId = highlight.id;
-                
-                div.style.left = (rect.left * scaleRatio) + 'px';
-                div.style.top = (rect.top * scaleRatio) + 'px';
-                div.style.width = (rect.width * scaleRatio) + 'px';
-                div.style.height = (rect.height * scaleRatio) + 'px';
-                div.style.backgroundColor = highlight.color;
-                
-                div.addEventListener('click', () => {
-                    if (confirm('Delete this highlight?')) {
-                        this.deleteHighlight(highlight.id);
-                    }
-                });
-                
-                highlightLayer.appendChild(div);
-            });
-        });
+        if (visiblePage !== this.currentPage) {
+            this.currentPage = visiblePage;
+            this.updatePageUI();
+            this.scheduleTabStateSave();
+        }
     }
     
-    renderHighlightsList() {
-        const tab = this.getActiveTab();
-        const container = document.getElementById('highlightsList');
+    async toggleViewMode() {
+        this.viewMode = this.viewMode === 'continuous' ? 'single' : 'continuous';
+        console.log('View mode set to:', this.viewMode);
         
-        if (!tab || tab.highlights.length === 0) {
-            container.innerHTML = '<p class="empty-state">No highlights yet. Select text in the PDF to highlight.</p>';
+        if (this.currentPdf) {
+            await this.renderDocument();
+        } else {
+            this.updateViewModeUI();
+        }
+        
+        this.saveCurrentTabState();
+    }
+    
+    updateViewModeUI() {
+        const btn = document.getElementById('toggleViewMode');
+        if (!btn) return;
+        
+        const continuous = this.viewMode === 'continuous';
+        btn.classList.toggle('active', continuous);
+        btn.title = continuous ? 'Single Page Mode' : 'Continuous Scroll Mode';
+    }
+    
+    // Split View Methods
+    // The split pane shows a second page next to the main viewer: another tab's
+    // paper, or another place in the same one. It has its own page, zoom and
+    // renderer; highlights made in it go to the tab it shows. Notes and the
+    // highlight list stay with the main pane, and swapping moves a paper there.
+    async openSplitView(tabId = this.activeTabId) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab || !tab.hasPdf) {
+            alert('Open a PDF in this tab first.');
             return;
         }
         
-        container.innerHTML = '';
+        const sameAsMain = tabId === this.activeTabId;
+        const pdf = await this.loadSplitPdf(tab);
+        if (!pdf) return;
         
-        // Sort by page
-        const sortedHighlights = [...tab.highlights].sort((a, b) => a.page - b.page);
+        if (this.splitView) {
+            this.releaseSplitPdf(this.splitView);
+        } else {
+            // Each pane keeps its own cache, at half the main budget
+            const renderer = new ScratchXivPageRenderer();
+            renderer.bitmapBudget /= 2;
+            this.splitView = { renderer, generation: 0 };
+        }
         
-        // Filter to only show highlights with text
-        const textHighlights = sortedHighlights.filter(h => h.text && h.text.trim());
+        const split = this.splitView;
+        split.tabId = tabId;
+        split.pdf = pdf;
+        split.pageNum = Math.min(sameAsMain ? this.currentPage : tab.lastPage || 1, pdf.numPages);
+        split.scale = sameAsMain ? this.scale : tab.lastScale || 1.0;
+        split.view = null;
+        split.renderer.setDocument(pdf);
         
-        if (textHighlights.length === 0) {
-            container.innerHTML = '<p class="empty-state">No highlights yet. Select text in the PDF to highlight.</p>';
-            return;
+        document.getElementById('splitPane').classList.add('visible');
+        document.getElementById('toggleSplitView').classList.add('active');
+        this.updateSplitUI();
+        await this.renderSplitPage();
+        console.log('Split view opened for tab:', tab.name);
+    }
+    
+    // The main pane's document is shared when it is the same tab
+    async loadSplitPdf(tab) {
+        if (tab.id === this.activeTabId && this.currentPdf) return this.currentPdf;
+        
+        try {
+            const pdfData = await window.scratchXivStorage.loadPdf(tab.id);
+            if (!pdfData || !pdfData.blob) {
+                alert('The PDF of this tab is not stored in this browser.');
+                return null;
+            }
+            const bytes = new Uint8Array(await pdfData.blob.arrayBuffer());
+            return await pdfjsLib.getDocument({ data: bytes }).promise;
+        } catch (error) {
+            console.error('Error loading PDF for split view:', error);
+            alert('Error loading PDF: ' + error.message);
+            return null;
         }
+    }
+    
+    releaseSplitPdf(split) {
+        split.renderer.setDocument(null);
+        if (split.pdf && split.pdf !== this.currentPdf) split.pdf.destroy();
+        split.pdf = null;
+    }
+    
+    closeSplitView() {
+        if (!this.splitView) return;
         
-        textHighlights.forEach(highlight => {
-            const item = document.createElement('div');
-            item.className = 'highlight-item';
-            item.style.setProperty('--highlight-color', highlight.color);
-            
-            // Show how many rectangles this highlight spans
-            const rects = highlight.rects || [highlight.rect];
-            const rectsInfo = rects.length > 1 ? ` (${rects.length} lines)` : '';
-            
-            item.innerHTML = `
-                <div class="highlight-text">${this.escapeHtml(highlight.text)}</div>
-                <div class="highlight-page">Page ${highlight.page}${rectsInfo}</div>
-                <button class="delete-highlight" data-highlight-id="${highlight.id}" title="Delete highlight">
-                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"/>
-                        <line x1="6" y1="6" x2="18" y2="18"/>
-                    </svg>
+        this.releaseSplitPdf(this.splitView);
+        this.splitView = null;
+        
+        document.getElementById('splitPane').classList.remove('visible');
+        document.getElementById('toggleSplitView').classList.remove('active');
+        document.getElementById('splitTextLayer').innerHTML = '';
+        document.getElementById('splitHighlightLayer').innerHTML = '';
+        console.log('Split view closed');
+    }
+    
+    toggleSplitView() {
+        if (this.splitView) {
+            this.closeSplitView();
+        } else {
+            this.openSplitView();
+        }
+    }
+    
+    async renderSplitPage() {
+        const split = this.splitView;
+        if (!split || !split.pdf) return;
+        
+        const generation = ++split.generation;
+        const isCurrent = () => this.splitView === split && split.generation === generation;
+        const pageNum = split.pageNum;
+        
+        try {
+            const page = await split.pdf.getPage(pageNum);
+            if (!isCurrent()) return;
+            const viewport = page.getViewport({ scale: split.scale });
+            
+            const canvas = document.getElementById('splitCanvas');
+            const container = document.getElementById('splitCanvasContainer');
+            container.style.width = viewport.width + 'px';
+            container.style.height = viewport.height + 'px';
+            container.dataset.pageNumber = pageNum;
+            
+            const drawn = await split.renderer.render(page, canvas, viewport);
+            if (!drawn || !isCurrent()) return;
+            
+            // Links would navigate the main pane, so the split pane has none
+            split.view = {
+                pageNum,
+                page,
+                viewport,
+                container,
+                canvas,
+                textLayer: document.getElementById('splitTextLayer'),
+                highlightLayer: document.getElementById('splitHighlightLayer'),
+                linkLayer: null,
+                rendered: true,
+                tabId: split.tabId
+            };
+            
+            const textRendered = await this.renderTextLayer(page, viewport, split.view.textLayer, isCurrent);
+            if (!textRendered) return;
+            this.renderPageHighlights(split.view);
+            this.updateSplitUI();
+            
+            split.renderer.prefetch([pageNum + 1, pageNum - 1], page => page.getViewport({ scale: split.scale }));
+        } catch (error) {
+            console.error('Error rendering split page:', error);
+        }
+    }
+    
+    renderSplitHighlights() {
+        const split = this.splitView;
+        if (split && split.view) this.renderPageHighlights(split.view);
+    }
+    
+    getSplitPageView(pageNum) {
+        const split = this.splitView;
+        return split && split.view && split.view.pageNum === pageNum ? split.view : null;
+    }
+    
+    goToSplitPage(pageNum) {
+        const split = this.splitView;
+        if (!split || !split.pdf) return;
+        
+        pageNum = Math.max(1, Math.min(pageNum, split.pdf.numPages));
+        if (pageNum === split.pageNum) {
+            this.updateSplitUI();
+            return;
+        }
+        
+        split.pageNum = pageNum;
+        this.updateSplitUI();
+        this.renderSplitPage();
+    }
+    
+    setSplitZoom(scale) {
+        const split = this.splitView;
+        if (!split) return;
+        
+        split.scale = this.clampScale(scale);
+        this.updateSplitUI();
+        this.renderSplitPage();
+    }
+    
+    async setSplitTab(tabId) {
+        if (!this.splitView || tabId === this.splitView.tabId) return;
+        await this.openSplitView(tabId);
+    }
+    
+    // Swapping the same paper swaps the two places; otherwise the split pane's tab
+    // becomes the active one and the main pane's paper moves into the split pane
+    async swapSplitPanes() {
+        const split = this.splitView;
+        if (!split) return;
+        
+        if (split.tabId === this.activeTabId) {
+            const { pageNum, scale } = split;
+            split.pageNum = this.currentPage;
+            split.scale = this.scale;
+            this.renderSplitPage();
+            this.setZoom(scale);
+            this.goToPage(pageNum);
+            return;
+        }
+        
+        const target = this.tabs.find(t => t.id === split.tabId);
+        if (!target) return;
+        target.lastPage = split.pageNum;
+        target.lastScale = split.scale;
+        target.zoomMode = 'custom';
+        
+        const previousPdf = split.pdf;
+        split.tabId = this.activeTabId;
+        split.pdf = this.currentPdf;
+        split.pageNum = this.currentPage;
+        split.scale = this.scale;
+        split.view = null;
+        split.renderer.setDocument(split.pdf);
+        
+        await this.switchToTab(target.id);
+        if (previousPdf && previousPdf !== this.currentPdf) previousPdf.destroy();
+        this.updateSplitUI();
+        await this.renderSplitPage();
+    }
+    
+    updateSplitUI() {
+        const split = this.splitView;
+        if (!split) return;
+        
+        const select = document.getElementById('splitTabSelect');
+        select.innerHTML = '';
+        this.tabs.filter(tab => tab.hasPdf).forEach(tab => {
+            const option = document.createElement('option');
+            option.value = tab.id;
+            option.textContent = tab.name;
+            select.appendChild(option);
+        });
+        select.value = split.tabId;
+        
+        const totalPages = split.pdf ? split.pdf.numPages : 0;
+        document.getElementById('splitPageInput').value = split.pageNum;
+        document.getElementById('splitPageInput').max = totalPages;
+        document.getElementById('splitTotalPages').textContent = totalPages;
+        document.getElementById('splitZoomLevel').textContent = Math.round(split.scale * 100) + '%';
+        document.getElementById('splitPrevPage').disabled = split.pageNum <= 1;
+        document.getElementById('splitNextPage').disabled = split.pageNum >= totalPages;
+    }
+    
+    // Navigation Methods
+    goToPage(pageNum) {
+        if (!this.currentPdf) return;
+        
+        pageNum = Math.max(1, Math.min(pageNum, this.totalPages));
+        if (pageNum !== this.currentPage) {
+            this.currentPage = pageNum;
+            let rendering = null;
+            if (this.viewMode === 'continuous') {
+                this.scrollToPage(pageNum);
+                this.updatePageUI();
+            } else {
+                rendering = this.renderPage();
+            }
+            this.saveCurrentTabState();
+            console.log('Navigated to page:', pageNum);
+            
+            // Resolves once the page is on screen, for callers that scroll within it
+            return rendering;
+        }
+    }
+    
+    nextPage() {
+        this.goToPage(this.currentPage + 1);
+    }
+    
+    prevPage() {
+        this.goToPage(this.currentPage - 1);
+    }
+    
+    // Sidebar Methods
+    toggleSidebar() {
+        this.sidebarOpen = !this.sidebarOpen;
+        localStorage.setItem('scratchxiv_sidebar', this.sidebarOpen ? 'open' : 'closed');
+        this.updateSidebarUI();
+    }
+    
+    showSidebarPanel(panel) {
+        this.sidebarPanel = panel;
+        localStorage.setItem('scratchxiv_sidebar_panel', panel);
+        this.updateSidebarUI();
+    }
+    
+    updateSidebarUI() {
+        const sidebar = document.getElementById('navSidebar');
+        if (!sidebar) return;
+        
+        sidebar.classList.toggle('open', this.sidebarOpen);
+        document.getElementById('toggleSidebar').classList.toggle('active', this.sidebarOpen);
+        
+        sidebar.querySelectorAll('.sidebar-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.panel === this.sidebarPanel);
+        });
+        document.getElementById('outlinePanel').classList.toggle('visible', this.sidebarPanel === 'outline');
+        document.getElementById('thumbnailPanel').classList.toggle('visible', this.sidebarPanel === 'thumbnails');
+        
+        this.updateSidebarSelection(true);
+    }
+    
+    buildSidebar() {
+        this.clearSidebar();
+        const generation = this.sidebarGeneration;
+        
+        this.renderOutline(this.currentPdf, generation);
+        this.buildThumbnails(this.currentPdf, generation)
+            .catch(error => console.error('Error building thumbnails:', error));
+    }
+    
+    clearSidebar() {
+        this.sidebarGeneration++;
+        this.outlineEntries = [];
+        this.thumbnails = new Map();
+        if (this.thumbnailObserver) {
+            this.thumbnailObserver.disconnect();
+            this.thumbnailObserver = null;
+        }
+        
+        const outlineTree = document.getElementById('outlineTree');
+        const thumbnailList = document.getElementById('thumbnailList');
+        if (outlineTree) outlineTree.innerHTML = '<p class="empty-state">No PDF loaded.</p>';
+        if (thumbnailList) thumbnailList.innerHTML = '';
+    }
+    
+    async renderOutline(pdf, generation) {
+        const container = document.getElementById('outlineTree');
+        if (!container) return;
+        
+        try {
+            const outline = await pdf.getOutline();
+            if (generation !== this.sidebarGeneration) return;
+            
+            if (!outline || outline.length === 0) {
+                container.innerHTML = '<p class="empty-state">This PDF has no outline.</p>';
+                return;
+            }
+            
+            const list = await this.buildOutlineList(pdf, outline, 0);
+            if (generation !== this.sidebarGeneration) return;
+            
+            container.innerHTML = '';
+            container.appendChild(list);
+            this.updateSidebarSelection(true);
+            console.log('Rendered outline with', this.outlineEntries.length, 'entries');
+        } catch (error) {
+            console.error('Error reading outline:', error);
+            container.innerHTML = '<p class="empty-state">The outline could not be read.</p>';
+        }
+    }
+    
+    async buildOutlineList(pdf, items, depth) {
+        const list = document.createElement('ul');
+        list.className = 'outline-list';
+        
+        const destinations = await Promise.all(items.map(item => this.resolveDestination(pdf, item.dest)));
+        
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const destination = destinations[i];
+            const pageNum = destination ? destination.pageNum : null;
+            const hasChildren = item.items && item.items.length > 0;
+            
+            const li = document.createElement('li');
+            li.className = 'outline-item' + (hasChildren && depth > 0 ? ' collapsed' : '');
+            
+            const row = document.createElement('div');
+            row.className = 'outline-row';
+            row.innerHTML = `
+                <button class="outline-toggle" ${hasChildren ? '' : 'disabled'} title="Expand">
+                    ${hasChildren ? '<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3"><polyline points="9,18 15,12 9,6"/></svg>' : ''}
                 </button>
+                <span class="outline-title">${this.escapeHtml(item.title || 'Untitled')}</span>
+                <span class="outline-page">${pageNum || ''}</span>
             `;
+            if (item.bold) row.querySelector('.outline-title').style.fontWeight = '600';
+            if (item.italic) row.querySelector('.outline-title').style.fontStyle = 'italic';
             
-            item.addEventListener('click', (e) => {
-                if (!e.target.closest('.delete-highlight')) {
-                    this.goToPage(highlight.page);
+            row.querySelector('.outline-toggle').addEventListener('click', (e) => {
+                e.stopPropagation();
+                li.classList.toggle('collapsed');
+            });
+            row.addEventListener('click', () => {
+                if (destination) {
+                    this.navigateTo(destination);
+                } else if (item.url && /^https?:/i.test(item.url)) {
+                    window.open(item.url, '_blank', 'noopener');
                 }
             });
             
-            const deleteBtn = item.querySelector('.delete-highlight');
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                console.log('Delete button clicked for highlight:', highlight.id);
-                this.deleteHighlight(highlight.id);
+            li.appendChild(row);
+            this.outlineEntries.push({ element: row, pageNum });
+            
+            if (hasChildren) {
+                li.appendChild(await this.buildOutlineList(pdf, item.items, depth + 1));
+            }
+            list.appendChild(li);
+        }
+        
+        return list;
+    }
+    
+    async buildThumbnails(pdf, generation) {
+        const list = document.getElementById('thumbnailList');
+        if (!list) return;
+        
+        // Every page gets a placeholder sized like the first page until it is drawn
+        const firstPage = await pdf.getPage(1);
+        if (generation !== this.sidebarGeneration) return;
+        const baseViewport = firstPage.getViewport({ scale: 1 });
+        const width = 120;
+        const height = Math.round(width * baseViewport.height / baseViewport.width);
+        
+        this.thumbnailObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                const pageNum = parseInt(entry.target.dataset.pageNumber);
+                this.thumbnailObserver.unobserve(entry.target);
+                this.queueThumbnailRender(pdf, pageNum, generation);
             });
+        }, { root: list, rootMargin: '300px 0px' });
+        
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const element = document.createElement('button');
+            element.className = 'thumbnail';
+            element.dataset.pageNumber = pageNum;
+            element.title = `Page ${pageNum}`;
+            element.innerHTML = `
+                <div class="thumbnail-frame" style="width: ${width}px; height: ${height}px">
+                    <canvas></canvas>
+                    <div class="thumbnail-markers"></div>
+                </div>
+                <span class="thumbnail-label">${pageNum}</span>
+            `;
+            element.addEventListener('click', () => this.goToPage(pageNum));
             
-            container.appendChild(item);
+            list.appendChild(element);
+            this.thumbnails.set(pageNum, { element, canvas: element.querySelector('canvas'), rendered: false });
+            this.thumbnailObserver.observe(element);
+        }
+        
+        this.updateThumbnailMarkers();
+        this.updateSidebarSelection(true);
+    }
+    
+    // Thumbnails render one at a time so they don't compete with the main view
+    queueThumbnailRender(pdf, pageNum, generation) {
+        this.thumbnailQueue = this.thumbnailQueue
+            .then(() => this.renderThumbnail(pdf, pageNum, generation))
+            .catch(error => console.error('Error rendering thumbnail:', error));
+    }
+    
+    async renderThumbnail(pdf, pageNum, generation) {
+        const thumbnail = this.thumbnails.get(pageNum);
+        if (generation !== this.sidebarGeneration || !thumbnail || thumbnail.rendered) return;
+        
+        const page = await pdf.getPage(pageNum);
+        const frame = thumbnail.canvas.parentElement;
+        const baseViewport = page.getViewport({ scale: 1 });
+        const outputScale = window.devicePixelRatio || 1;
+        const viewport = page.getViewport({ scale: frame.clientWidth / baseViewport.width });
+        
+        thumbnail.canvas.width = Math.floor(viewport.width * outputScale);
+        thumbnail.canvas.height = Math.floor(viewport.height * outputScale);
+        frame.style.height = Math.floor(viewport.height) + 'px';
+        
+        await page.render({
+            canvasContext: thumbnail.canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        }).promise;
+        thumbnail.rendered = true;
+    }
+    
+    // Pages with highlights get a dot per highlight color
+    updateThumbnailMarkers() {
+        if (this.thumbnails.size === 0) return;
+        
+        const tab = this.getActiveTab();
+        const colorsByPage = new Map();
+        (tab ? tab.highlights : []).forEach(h => {
+            if (!colorsByPage.has(h.page)) colorsByPage.set(h.page, new Set());
+            colorsByPage.get(h.page).add(h.color);
         });
         
-        console.log('Rendered', textHighlights.length, 'highlights in list');
+        this.thumbnails.forEach((thumbnail, pageNum) => {
+            const colors = colorsByPage.get(pageNum);
+            const markers = thumbnail.element.querySelector('.thumbnail-markers');
+            thumbnail.element.classList.toggle('has-highlights', !!colors);
+            markers.innerHTML = '';
+            (colors ? [...colors] : []).forEach(color => {
+                const marker = document.createElement('span');
+                marker.className = 'thumbnail-marker';
+                marker.style.background = color;
+                markers.appendChild(marker);
+            });
+        });
     }
     
-    handleTextSelection() {
-        const selection = window.getSelection();
-        const text = selection.toString().trim();
+    updateSidebarSelection(reveal = false) {
+        if (!this.sidebarOpen) return;
         
-        if (!text || !this.highlightMode) {
-            console.log('No text selected or highlight mode disabled');
+        const pageChanged = this.sidebarPage !== this.currentPage;
+        this.sidebarPage = this.currentPage;
+        
+        this.thumbnails.forEach((thumbnail, pageNum) => {
+            thumbnail.element.classList.toggle('active', pageNum === this.currentPage);
+        });
+        const thumbnail = this.thumbnails.get(this.currentPage);
+        if (thumbnail && this.sidebarPanel === 'thumbnails' && (pageChanged || reveal)) {
+            thumbnail.element.scrollIntoView({ block: 'nearest' });
+        }
+        
+        // The current section is the last outline entry starting at or before this page
+        let current = null;
+        this.outlineEntries.forEach(entry => {
+            entry.element.classList.remove('active');
+            if (entry.pageNum && entry.pageNum <= this.currentPage && (!current || entry.pageNum >= current.pageNum)) {
+                current = entry;
+            }
+        });
+        if (current) {
+            current.element.classList.add('active');
+            if (this.sidebarPanel === 'outline' && (pageChanged || reveal) && current.element.offsetParent) {
+                current.element.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+    
+    // Link Methods
+    // Destinations are either named or explicit ([pageRef, { name: fit }, ...args]).
+    // Returns { pageNum, top } with top the PDF y coordinate to show, if the fit has one.
+    async resolveDestination(pdf, dest) {
+        if (!dest) return null;
+        
+        try {
+            const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+            if (!Array.isArray(explicit)) return null;
+            
+            const target = explicit[0];
+            let pageNum = null;
+            if (typeof target === 'number') {
+                pageNum = target + 1;
+            } else if (target && typeof target === 'object') {
+                pageNum = (await pdf.getPageIndex(target)) + 1;
+            }
+            // Links may point past the end of the document
+            if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > pdf.numPages) return null;
+            
+            const fit = explicit[1] && explicit[1].name;
+            let top = null;
+            if (fit === 'XYZ') {
+                top = explicit[3];
+            } else if (fit === 'FitH' || fit === 'FitBH') {
+                top = explicit[2];
+            } else if (fit === 'FitR') {
+                top = explicit[5];
+            }
+            
+            return { pageNum, top: typeof top === 'number' ? top : null };
+        } catch (error) {
+            console.error('Error resolving destination:', error);
+            return null;
+        }
+    }
+    
+    async renderLinkLayer(view) {
+        const layer = view.linkLayer;
+        if (!layer) return;
+        
+        // A newer render of the same layer wins
+        const token = {};
+        layer.renderToken = token;
+        layer.innerHTML = '';
+        
+        let annotations;
+        try {
+            annotations = await view.page.getAnnotations({ intent: 'display' });
+        } catch (error) {
+            console.error('Error reading link annotations:', error);
             return;
         }
+        if (layer.renderToken !== token || !view.rendered) return;
         
-        console.log('Text selected:', text.substring(0, 50) + '...');
+        annotations.filter(a => a.subtype === 'Link').forEach(annotation => {
+            const link = document.createElement('a');
+            link.className = 'pdf-link';
+            
+            if (annotation.dest) {
+                link.href = '#';
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.followLink(annotation.dest);
+                });
+                link.addEventListener('mouseenter', () => this.scheduleLinkPreview(annotation.dest, link));
+                link.addEventListener('mouseleave', () => this.hideLinkPreview());
+            } else if (annotation.url) {
+                const url = this.getSafeUrl(annotation.url);
+                if (!url) return;
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.title = url;
+            } else if (annotation.action) {
+                link.href = '#';
+                link.title = annotation.action;
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.runNamedAction(annotation.action);
+                });
+            } else {
+                return;
+            }
+            
+            const [x1, y1, x2, y2] = view.viewport.convertToViewportRectangle(annotation.rect);
+            link.style.left = Math.min(x1, x2) + 'px';
+            link.style.top = Math.min(y1, y2) + 'px';
+            link.style.width = Math.abs(x2 - x1) + 'px';
+            link.style.height = Math.abs(y2 - y1) + 'px';
+            layer.appendChild(link);
+        });
+    }
+    
+    // Only web and mail links leave the app; javascript:, file: and the like are dropped
+    getSafeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    runNamedAction(action) {
+        switch (action) {
+            case 'NextPage': this.nextPage(); break;
+            case 'PrevPage': this.prevPage(); break;
+            case 'FirstPage': this.goToPage(1); break;
+            case 'LastPage': this.goToPage(this.totalPages); break;
+            case 'GoBack': this.goBack(); break;
+            case 'GoForward': this.goForward(); break;
+            default: console.log('Unsupported named action:', action);
+        }
+    }
+    
+    async followLink(dest) {
+        this.hideLinkPreview();
+        const destination = await this.resolveDestination(this.currentPdf, dest);
+        if (!destination) {
+            console.log('Link destination could not be resolved:', dest);
+            return;
+        }
+        await this.navigateTo(destination);
+    }
+    
+    // Jumps to a destination, remembering where we were for goBack()
+    async navigateTo(destination) {
+        this.navHistory.back.push(this.getCurrentLocation());
+        if (this.navHistory.back.length > this.navHistoryLimit) {
+            this.navHistory.back.shift();
+        }
+        this.navHistory.forward = [];
+        this.updateNavHistoryUI();
+        
+        await this.goToDestination(destination);
+    }
+    
+    async goToDestination(destination) {
+        const viewer = document.getElementById('pdfViewer');
+        await this.goToPage(destination.pageNum);
+        
+        if (destination.top === null) {
+            if (this.viewMode === 'continuous') {
+                this.scrollToPage(destination.pageNum);
+            } else {
+                viewer.scrollTop = 0;
+            }
+            return;
+        }
+        
+        const view = this.getRenderedPageView(destination.pageNum) ||
+            (this.viewMode === 'continuous' ? this.pageViews.get(destination.pageNum) : null);
+        if (!view) return;
+        
+        const [, y] = view.viewport.convertToViewportPoint(0, destination.top);
+        const offset = view.container.getBoundingClientRect().top - viewer.getBoundingClientRect().top;
+        viewer.scrollTop += offset + y - 24;
+    }
+    
+    getCurrentLocation() {
+        const viewer = document.getElementById('pdfViewer');
+        return {
+            pageNum: this.currentPage,
+            viewMode: this.viewMode,
+            scrollTop: viewer.scrollTop,
+            scrollLeft: viewer.scrollLeft
+        };
+    }
+    
+    async restoreLocation(location) {
+        await this.goToPage(location.pageNum);
+        
+        // Scroll offsets only mean the same thing in the mode they were taken in
+        if (location.viewMode === this.viewMode) {
+            const viewer = document.getElementById('pdfViewer');
+            viewer.scrollTop = location.scrollTop;
+            viewer.scrollLeft = location.scrollLeft;
+        } else if (this.viewMode === 'continuous') {
+            this.scrollToPage(location.pageNum);
+        }
+    }
+    
+    async goBack() {
+        const location = this.navHistory.back.pop();
+        if (!location) return;
+        
+        this.navHistory.forward.push(this.getCurrentLocation());
+        this.updateNavHistoryUI();
+        await this.restoreLocation(location);
+    }
+    
+    async goForward() {
+        const location = this.navHistory.forward.pop();
+        if (!location) return;
+        
+        this.navHistory.back.push(this.getCurrentLocation());
+        this.updateNavHistoryUI();
+        await this.restoreLocation(location);
+    }
+    
+    resetNavHistory() {
+        this.navHistory = { back: [], forward: [] };
+        this.hideLinkPreview();
+        this.updateNavHistoryUI();
+    }
+    
+    updateNavHistoryUI() {
+        const backBtn = document.getElementById('navBack');
+        const forwardBtn = document.getElementById('navForward');
+        if (backBtn) backBtn.disabled = this.navHistory.back.length === 0;
+        if (forwardBtn) forwardBtn.disabled = this.navHistory.forward.length === 0;
+    }
+    
+    scheduleLinkPreview(dest, link) {
+        clearTimeout(this.linkPreviewTimeout);
+        this.linkPreviewTimeout = setTimeout(() => this.showLinkPreview(dest, link), 350);
+    }
+    
+    // Renders a band of the target page starting at the destination, e.g. the
+    // bibliography entry a citation points to
+    async showLinkPreview(dest, link) {
+        const pdf = this.currentPdf;
+        const generation = ++this.linkPreviewGeneration;
+        
+        const destination = await this.resolveDestination(pdf, dest);
+        if (!destination || generation !== this.linkPreviewGeneration || !link.isConnected) return;
+        
+        let page;
+        try {
+            page = await pdf.getPage(destination.pageNum);
+        } catch (error) {
+            // The document may have been closed during the hover delay
+            console.error('Error loading link preview page:', error);
+            return;
+        }
+        if (generation !== this.linkPreviewGeneration) return;
+        
+        const popover = document.getElementById('linkPreview');
+        const canvas = document.getElementById('linkPreviewCanvas');
+        const width = Math.min(480, window.innerWidth - 32);
+        const scale = width / page.getViewport({ scale: 1 }).width;
+        const fullViewport = page.getViewport({ scale });
+        
+        // Destinations usually point just above the entry; start the band slightly higher still
+        let offsetY = 0;
+        if (destination.top !== null) {
+            const [, y] = fullViewport.convertToViewportPoint(0, destination.top);
+            offsetY = Math.max(0, Math.min(y - 12, fullViewport.height - 120));
+        }
+        const height = Math.min(220, fullViewport.height - offsetY);
+        const viewport = page.getViewport({ scale, offsetY: -offsetY });
+        
+        const outputScale = window.devicePixelRatio || 1;
+        canvas.width = Math.floor(width * outputScale);
+        canvas.height = Math.floor(height * outputScale);
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        document.getElementById('linkPreviewPage').textContent = `Page ${destination.pageNum}`;
+        
+        // Below the link, or above it when there is no room
+        const rect = link.getBoundingClientRect();
+        const popoverHeight = height + 34;
+        let top = rect.bottom + 8;
+        if (top + popoverHeight > window.innerHeight - 8) {
+            top = Math.max(8, rect.top - popoverHeight - 8);
+        }
+        popover.style.left = Math.max(16, Math.min(rect.left, window.innerWidth - width - 24)) + 'px';
+        popover.style.top = top + 'px';
+        popover.classList.add('visible');
+        
+        if (this.linkPreviewTask) this.linkPreviewTask.cancel();
+        const renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+        this.linkPreviewTask = renderTask;
+        
+        try {
+            await renderTask.promise;
+        } catch (error) {
+            if (error && error.name !== 'RenderingCancelledException') {
+                console.error('Error rendering link preview:', error);
+            }
+        }
+        if (this.linkPreviewTask === renderTask) this.linkPreviewTask = null;
+    }
+    
+    hideLinkPreview() {
+        clearTimeout(this.linkPreviewTimeout);
+        this.linkPreviewGeneration++;
+        
+        if (this.linkPreviewTask) {
+            this.linkPreviewTask.cancel();
+            this.linkPreviewTask = null;
+        }
+        
+        const popover = document.getElementById('linkPreview');
+        if (popover) popover.classList.remove('visible');
+    }
+    
+    // Zoom Methods
+    clampScale(scale) {
+        return Math.max(0.25, Math.min(3, scale));
+    }
+    
+    // Any explicit scale leaves the fit modes
+    setZoom(newScale) {
+        newScale = this.clampScale(newScale);
+        const modeChanged = this.zoomMode !== 'custom';
+        this.zoomMode = 'custom';
+        
+        if (newScale !== this.scale || modeChanged) {
+            this.scale = newScale;
+            this.renderPage();
+            this.saveCurrentTabState();
+            console.log('Zoom set to:', Math.round(newScale * 100) + '%');
+        }
+    }
+    
+    setZoomMode(mode) {
+        if (!['custom', 'fit-width', 'fit-page'].includes(mode)) return;
+        
+        this.zoomMode = mode;
+        this.renderPage();
+        this.updateZoomUI();
+        this.saveCurrentTabState();
+        console.log('Zoom mode set to:', mode);
+    }
+    
+    // Scale at which the page fills the viewer's width (or whole area for fit-page)
+    getFitScale(page, mode = this.zoomMode) {
+        const viewer = document.getElementById('pdfViewer');
+        const style = getComputedStyle(viewer);
+        const width = viewer.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+        const height = viewer.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+        const base = page.getViewport({ scale: 1, rotation: this.getPageRotation(page) });
+        
+        let scale = width / base.width;
+        if (mode === 'fit-page') scale = Math.min(scale, height / base.height);
+        
+        // Whole percents keep the scale stable against sub-pixel layout changes
+        return this.clampScale(Math.floor(scale * 100) / 100);
+    }
+    
+    applyFitZoom(page) {
+        if (this.zoomMode === 'custom') return;
+        this.scale = this.getFitScale(page);
+    }
+    
+    // Re-fits when the viewer changes size: window resize, sidebar or notes panel
+    handleViewerResize() {
+        if (this.zoomMode === 'custom' || !this.currentPdf) return;
+        
+        const view = this.viewMode === 'continuous' ? this.pageViews.get(this.currentPage) : this.singlePageView;
+        if (!view) return;
+        
+        if (this.getFitScale(view.page) !== this.scale) {
+            console.log('Viewer resized, fitting page again');
+            this.renderPage();
+            this.saveCurrentTabState();
+        }
+    }
+    
+    updateZoomUI() {
+        const zoomLevel = document.getElementById('zoomLevel');
+        if (document.activeElement !== zoomLevel) {
+            zoomLevel.value = Math.round(this.scale * 100) + '%';
+        }
+        
+        const fitWidthBtn = document.getElementById('fitWidth');
+        const fitPageBtn = document.getElementById('fitPage');
+        if (fitWidthBtn) fitWidthBtn.classList.toggle('active', this.zoomMode === 'fit-width');
+        if (fitPageBtn) fitPageBtn.classList.toggle('active', this.zoomMode === 'fit-page');
+    }
+    
+    // Accepts "150", "150%" or "1.5x"
+    applyZoomInput() {
+        const input = document.getElementById('zoomLevel');
+        const value = input.value.trim().toLowerCase();
+        const number = parseFloat(value);
+        
+        if (!isNaN(number) && number > 0) {
+            this.setZoom(value.endsWith('x') ? number : number / 100);
+        }
+        input.blur();
+        this.updateZoomUI();
+    }
+    
+    // Ctrl+wheel (which is also how trackpad pinches arrive) and touch pinches are
+    // collected and applied once the gesture pauses, so a fast pinch renders once
+    queueZoom(scale, clientX, clientY) {
+        this.pendingZoom = { scale: this.clampScale(scale), clientX, clientY };
+        
+        clearTimeout(this.pendingZoomTimeout);
+        this.pendingZoomTimeout = setTimeout(() => {
+            const { scale, clientX, clientY } = this.pendingZoom;
+            this.pendingZoom = null;
+            this.zoomAt(scale, clientX, clientY);
+        }, 80);
+    }
+    
+    handleViewerWheel(e) {
+        if (!e.ctrlKey || !this.currentPdf) return;
+        e.preventDefault();
+        
+        // Lines and pages are rare for pinches, but wheels on some systems use them
+        const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1);
+        const base = this.pendingZoom ? this.pendingZoom.scale : this.scale;
+        this.queueZoom(base * Math.exp(-delta * 0.01), e.clientX, e.clientY);
+    }
+    
+    bindPinchZoom(viewer) {
+        let pinch = null;
+        const measure = touches => ({
+            distance: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY),
+            clientX: (touches[0].clientX + touches[1].clientX) / 2,
+            clientY: (touches[0].clientY + touches[1].clientY) / 2
+        });
+        
+        viewer.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 2 || !this.currentPdf) return;
+            pinch = { start: measure(e.touches).distance, scale: this.scale };
+        }, { passive: true });
+        
+        viewer.addEventListener('touchmove', (e) => {
+            if (!pinch || e.touches.length !== 2) return;
+            e.preventDefault();
+            
+            const { distance, clientX, clientY } = measure(e.touches);
+            this.queueZoom(pinch.scale * distance / pinch.start, clientX, clientY);
+        }, { passive: false });
+        
+        viewer.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) pinch = null;
+        });
+    }
+    
+    // Zooms keeping the point of the page under the cursor where it is
+    async zoomAt(newScale, clientX, clientY) {
+        newScale = this.clampScale(newScale);
+        if (newScale === this.scale && this.zoomMode === 'custom') return;
+        
+        const anchor = this.getZoomAnchor(clientX, clientY);
+        this.zoomMode = 'custom';
+        this.scale = newScale;
+        await this.renderPage();
+        this.restoreZoomAnchor(anchor);
+        this.saveCurrentTabState();
+        console.log('Zoom set to:', Math.round(newScale * 100) + '%', 'at', clientX, clientY);
+    }
+    
+    getZoomAnchor(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        const container = element && element.closest('.pdf-page, .pdf-canvas-container');
+        if (!container) return null;
+        
+        const rect = container.getBoundingClientRect();
+        return {
+            pageNum: parseInt(container.dataset.pageNumber),
+            x: (clientX - rect.left) / rect.width,
+            y: (clientY - rect.top) / rect.height,
+            clientX,
+            clientY
+        };
+    }
+    
+    restoreZoomAnchor(anchor) {
+        if (!anchor) return;
+        
+        let container = document.getElementById('pdfCanvasContainer');
+        if (this.viewMode === 'continuous') {
+            const view = this.pageViews.get(anchor.pageNum);
+            container = view ? view.container : null;
+        }
+        if (!container) return;
+        
+        const viewer = document.getElementById('pdfViewer');
+        const rect = container.getBoundingClientRect();
+        viewer.scrollLeft += rect.left + anchor.x * rect.width - anchor.clientX;
+        viewer.scrollTop += rect.top + anchor.y * rect.height - anchor.clientY;
+    }
+    
+    // Rotation
+    rotatePages(delta) {
+        if (!this.currentPdf) return;
+        
+        this.rotation = (this.rotation + delta + 360) % 360;
+        this.renderPage();
+        this.saveCurrentTabState();
+        console.log('Pages rotated to', this.rotation, 'degrees');
+    }
+    
+    // Page colors
+    // Dark and sepia recolor only the page canvases; highlights and drawings sit in
+    // their own layers, so they keep their colors
+    setPageColors(mode) {
+        if (!['normal', 'dark', 'sepia'].includes(mode)) return;
+        
+        this.pageColors = mode;
+        this.applyPageColors();
+        this.saveCurrentTabState();
+        console.log('Page colors set to:', mode);
+    }
+    
+    cyclePageColors() {
+        const modes = ['normal', 'dark', 'sepia'];
+        this.setPageColors(modes[(modes.indexOf(this.pageColors) + 1) % modes.length]);
+    }
+    
+    applyPageColors() {
+        document.querySelectorAll('.pdf-viewer').forEach(viewer => {
+            viewer.dataset.pageColors = this.pageColors;
+        });
+        
+        const btn = document.getElementById('pageColors');
+        if (btn) {
+            const labels = { normal: 'Normal', dark: 'Dark', sepia: 'Sepia' };
+            btn.classList.toggle('active', this.pageColors !== 'normal');
+            btn.dataset.mode = this.pageColors;
+            btn.title = `Page Colors: ${labels[this.pageColors]}`;
+        }
+    }
+    
+    zoomIn() {
+        this.setZoom(this.scale + 0.25);
+    }
+    
+    zoomOut() {
+        this.setZoom(this.scale - 0.25);
+    }
+    
+    // Search Methods
+    async getPageText(pageNum) {
+        if (this.pageTextCache.has(pageNum)) {
+            return this.pageTextCache.get(pageNum);
+        }
+        
+        const pdf = this.currentPdf;
+        const page = await pdf.getPage(pageNum);
+        const pageText = this.buildPageText(await window.scratchXivPageRenderer.getTextContent(page));
+        
+        // Don't cache text from a document that was replaced in the meantime
+        if (pdf === this.currentPdf) {
+            this.pageTextCache.set(pageNum, pageText);
+        }
+        return pageText;
+    }
+    
+    buildSearchPattern(query, options) {
+        let source = query;
+        
+        if (!options.regex) {
+            // Literal search; any run of whitespace also matches line breaks in the page text
+            source = query.trim()
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/\s+/g, '\\s+');
+        }
+        
+        if (options.wholeWord) {
+            source = `\\b(?:${source})\\b`;
+        }
+        
+        return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+    }
+    
+    getSearchOptions() {
+        return {
+            caseSensitive: document.getElementById('searchCaseSensitive').checked,
+            wholeWord: document.getElementById('searchWholeWord').checked,
+            regex: document.getElementById('searchRegex').checked
+        };
+    }
+    
+    async runSearch() {
+        const query = document.getElementById('searchInput').value;
+        const searchId = ++this.searchGeneration;
+        
+        if (!query.trim() || !this.currentPdf) {
+            this.resetSearch();
+            return;
+        }
+        
+        let pattern;
+        try {
+            pattern = this.buildSearchPattern(query, this.getSearchOptions());
+        } catch (error) {
+            this.setSearchStatus('Invalid regular expression');
+            return;
+        }
+        
+        const pdf = this.currentPdf;
+        const hits = [];
+        const maxHits = 1000;
+        
+        for (let pageNum = 1; pageNum <= this.totalPages && hits.length < maxHits; pageNum++) {
+            this.setSearchStatus(`Searching ${pageNum}/${this.totalPages}…`);
+            let text;
+            try {
+                ({ text } = await this.getPageText(pageNum));
+            } catch (error) {
+                // Destroying the document fails a superseded search; that one is dropped
+                if (searchId === this.searchGeneration && pdf === this.currentPdf) {
+                    console.error('Error searching page', pageNum, error);
+                    this.setSearchStatus('Search failed');
+                }
+                return;
+            }
+            
+            // A newer query or another document superseded this search
+            if (searchId !== this.searchGeneration || pdf !== this.currentPdf) return;
+            
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) && hits.length < maxHits) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                hits.push({
+                    page: pageNum,
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    before: text.slice(Math.max(0, match.index - 40), match.index),
+                    match: match[0],
+                    after: text.slice(match.index + match[0].length, match.index + match[0].length + 40)
+                });
+            }
+        }
+        
+        this.searchState = { query, hits, index: -1 };
+        this.renderSearchResults();
+        console.log('Search for', query, 'found', hits.length, 'hits');
+        
+        // Start from the first hit at or after the page being read
+        if (hits.length > 0) {
+            const firstIndex = hits.findIndex(hit => hit.page >= this.currentPage);
+            this.goToSearchHit(firstIndex === -1 ? 0 : firstIndex);
+        }
+    }
+    
+    resetSearch() {
+        this.searchGeneration++;
+        this.searchState = { query: '', hits: [], index: -1 };
+        this.clearSearchMarks();
+        
+        const results = document.getElementById('searchResults');
+        if (results) results.innerHTML = '';
+        this.setSearchStatus('');
+    }
+    
+    setSearchStatus(text) {
+        const status = document.getElementById('searchStatus');
+        if (status) status.textContent = text;
+    }
+    
+    renderSearchResults() {
+        const container = document.getElementById('searchResults');
+        const { hits, index } = this.searchState;
+        container.innerHTML = '';
+        
+        if (hits.length === 0) {
+            this.setSearchStatus('No results');
+            return;
+        }
+        
+        this.setSearchStatus(index >= 0 ? `${index + 1} / ${hits.length}` : `${hits.length} results`);
+        
+        const clean = str => this.escapeHtml(str.replace(/\s+/g, ' '));
+        
+        hits.forEach((hit, i) => {
+            const item = document.createElement('div');
+            item.className = `search-result ${i === index ? 'active' : ''}`;
+            item.innerHTML = `
+                <span class="search-result-page">p.${hit.page}</span>
+                <span class="search-result-context">…${clean(hit.before)}<mark>${clean(hit.match)}</mark>${clean(hit.after)}…</span>
+            `;
+            item.addEventListener('click', () => this.goToSearchHit(i));
+            container.appendChild(item);
+        });
+    }
+    
+    goToSearchHit(index) {
+        const { hits } = this.searchState;
+        if (hits.length === 0) return;
+        
+        // Wrap around in both directions
+        index = (index + hits.length) % hits.length;
+        this.searchState.index = index;
+        
+        const hit = hits[index];
+        this.searchState.pendingMark = true;
+        this.setSearchStatus(`${index + 1} / ${hits.length}`);
+        document.querySelectorAll('#searchResults .search-result').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
+        });
+        
+        if (hit.page !== this.currentPage) {
+            // The mark is drawn once the page has rendered
+            this.goToPage(hit.page);
+        }
+        
+        const view = this.getRenderedPageView(hit.page);
+        if (view) this.renderSearchMark(view);
+    }
+    
+    nextSearchHit() {
+        this.goToSearchHit(this.searchState.index + 1);
+    }
+    
+    prevSearchHit() {
+        this.goToSearchHit(this.searchState.index - 1);
+    }
+    
+    renderSearchMark(view) {
+        const { hits, index } = this.searchState;
+        const hit = hits[index];
+        if (!view || !hit || hit.page !== view.pageNum || !this.searchState.pendingMark) return;
+        
+        // Only mark a hit once per navigation, not on every later re-render of its page
+        this.searchState.pendingMark = false;
+        this.clearSearchMarks();
+        
+        const range = this.getTextLayerRange(view.textLayer, hit.start, hit.end);
+        if (!range) return;
+        
+        const containerRect = view.container.getBoundingClientRect();
+        const marks = [];
+        
+        Array.from(range.getClientRects()).forEach(rect => {
+            if (rect.width < 1 || rect.height < 1) return;
+            
+            const mark = document.createElement('div');
+            mark.className = 'search-mark';
+            mark.style.left = (rect.left - containerRect.left) + 'px';
+            mark.style.top = (rect.top - containerRect.top) + 'px';
+            mark.style.width = rect.width + 'px';
+            mark.style.height = rect.height + 'px';
+            view.container.appendChild(mark);
+            marks.push(mark);
+        });
+        
+        if (marks.length > 0) {
+            marks[0].scrollIntoView({ block: 'center', inline: 'nearest' });
+        }
+        
+        // The mark only flags the hit briefly
+        this.searchMarkTimeout = setTimeout(() => this.clearSearchMarks(), 2500);
+    }
+    
+    clearSearchMarks() {
+        clearTimeout(this.searchMarkTimeout);
+        document.querySelectorAll('.search-mark').forEach(mark => mark.remove());
+    }
+    
+    // Builds a DOM range over the text layer spans covering [start, end) of the page text
+    getTextLayerRange(textLayer, start, end) {
+        let startNode = null;
+        let startOffset = 0;
+        let endNode = null;
+        let endOffset = 0;
+        
+        for (const span of textLayer.children) {
+            const node = span.firstChild;
+            if (!node) continue;
+            
+            const spanStart = parseInt(span.dataset.offset);
+            const spanEnd = spanStart + node.length;
+            
+            if (!startNode && start < spanEnd) {
+                startNode = node;
+                startOffset = Math.max(0, start - spanStart);
+            }
+            if (startNode) {
+                endNode = node;
+                endOffset = Math.min(node.length, Math.max(0, end - spanStart));
+                if (end <= spanEnd) break;
+            }
+        }
+        
+        if (!startNode) return null;
+        
+        const range = document.createRange();
+        range.setStart(startNode, startOffset);
+        range.setEnd(endNode, endOffset);
+        return range;
+    }
+    
+    toggleSearchBar(show) {
+        const bar = document.getElementById('searchBar');
+        const visible = show === undefined ? !bar.classList.contains('visible') : show;
+        
+        bar.classList.toggle('visible', visible);
+        document.getElementById('toggleSearch').classList.toggle('active', visible);
+        
+        if (visible) {
+            const input = document.getElementById('searchInput');
+            input.focus();
+            input.select();
+        } else {
+            this.clearSearchMarks();
+        }
+    }
+    
+    // Library Search Methods
+    async extractPdfText(pdf) {
+        const pages = [];
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            pages.push(this.buildPageText(await page.getTextContent()).text);
+        }
+        return pages;
+    }
+    
+    // Extracts and stores the full text of a tab's PDF. An already open document
+    // can be passed in; otherwise the PDF is loaded from IndexedDB.
+    async indexTabPdf(tab, openPdf = null) {
+        if (!this.storageReady || !tab.hasPdf) return;
+        
+        const index = window.scratchXivLibraryIndex;
+        let pdf = openPdf;
+        
+        try {
+            const pdfData = await window.scratchXivStorage.loadPdf(tab.id);
+            if (!pdfData || !pdfData.blob) return;
+            
+            const signature = index.getSignature(pdfData);
+            const existing = await index.getEntry(tab.id);
+            if (existing && existing.signature === signature) return;
+            
+            if (!pdf) {
+                const bytes = new Uint8Array(await pdfData.blob.arrayBuffer());
+                pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
+            }
+            
+            const pages = await this.extractPdfText(pdf);
+            await index.saveEntry({
+                tabId: tab.id,
+                signature,
+                fileName: pdfData.fileName,
+                pages
+            });
+            console.log('Indexed', pages.length, 'pages for tab:', tab.name);
+        } catch (error) {
+            console.error('Error indexing PDF for tab:', tab.name, error);
+        } finally {
+            if (pdf && pdf !== openPdf) pdf.destroy();
+        }
+    }
+    
+    indexLibrary() {
+        if (this.libraryIndexing) return this.libraryIndexing;
+        
+        this.libraryIndexing = (async () => {
+            const tabs = this.tabs.filter(tab => tab.hasPdf);
+            for (let i = 0; i < tabs.length; i++) {
+                this.setLibrarySearchStatus(`Indexing papers ${i + 1}/${tabs.length}…`);
+                await this.indexTabPdf(tabs[i]);
+            }
+            this.setLibrarySearchStatus('');
+        })().finally(() => {
+            this.libraryIndexing = null;
+        });
+        
+        return this.libraryIndexing;
+    }
+    
+    async runLibrarySearch() {
+        const query = document.getElementById('librarySearchInput').value;
+        const searchId = ++this.librarySearchGeneration;
+        const container = document.getElementById('librarySearchResults');
+        
+        if (!query.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        // Notes typed since the last input event are only in the textarea
+        const activeTab = this.getActiveTab();
+        if (activeTab) activeTab.notes = document.getElementById('notesTextarea').value;
+        
+        let entries = [];
+        if (this.storageReady) {
+            try {
+                entries = await window.scratchXivLibraryIndex.getAllEntries();
+            } catch (error) {
+                console.error('Error reading library index:', error);
+            }
+        }
+        if (searchId !== this.librarySearchGeneration) return;
+        
+        const results = window.scratchXivLibraryIndex.search(query, this.tabs, entries);
+        this.renderLibrarySearchResults(results);
+        console.log('Library search for', query, 'matched', results.length, 'tabs');
+    }
+    
+    renderLibrarySearchResults(results) {
+        const container = document.getElementById('librarySearchResults');
+        container.innerHTML = '';
+        
+        if (results.length === 0) {
+            container.innerHTML = '<p class="empty-state">No matching papers.</p>';
+            return;
+        }
+        
+        const fieldLabels = {
+            name: 'Title',
+            highlight: 'Highlight',
+            notes: 'Notes',
+            pdf: 'Text'
+        };
+        
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'library-result';
+            item.innerHTML = `<div class="library-result-title">${this.escapeHtml(result.tab.name)}</div>`;
+            
+            result.matches.forEach(match => {
+                const matchEl = document.createElement('div');
+                matchEl.className = 'library-result-match';
+                const where = fieldLabels[match.field] + (match.page ? ` · p.${match.page}` : '');
+                matchEl.innerHTML = `
+                    <span class="library-result-field">${where}</span>
+                    <span class="library-result-snippet">${this.escapeHtml(match.snippet)}</span>
+                `;
+                matchEl.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openLibraryResult(result.tab.id, match.page);
+                });
+                item.appendChild(matchEl);
+            });
+            
+            item.addEventListener('click', () => this.openLibraryResult(result.tab.id, null));
+            container.appendChild(item);
+        });
+    }
+    
+    async openLibraryResult(tabId, pageNum) {
+        this.hideLibrarySearch();
+        
+        if (tabId !== this.activeTabId) {
+            await this.switchToTab(tabId);
+        }
+        if (pageNum) {
+            this.goToPage(pageNum);
+        }
+    }
+    
+    setLibrarySearchStatus(text) {
+        const status = document.getElementById('librarySearchStatus');
+        if (status) status.textContent = text;
+    }
+    
+    showLibrarySearch() {
+        const modal = document.getElementById('librarySearchModal');
+        const input = document.getElementById('librarySearchInput');
+        modal.classList.add('visible');
+        input.focus();
+        input.select();
+        
+        if (input.value.trim()) this.runLibrarySearch();
+    }
+    
+    hideLibrarySearch() {
+        document.getElementById('librarySearchModal').classList.remove('visible');
+    }
+    
+    // Collection Methods
+    // The collection view lists every open tab as a grid of cards or a table.
+    getTabProgress(tab) {
+        if (!tab.hasPdf) return null;
+        
+        const active = tab.id === this.activeTabId && this.currentPdf;
+        const page = active ? this.currentPage : (tab.lastPage || 1);
+        const total = active ? this.totalPages : tab.totalPages;
+        return { page, total: total || null, ratio: total ? Math.min(1, page / total) : null };
+    }
+    
+    getCollectionRows() {
+        const query = document.getElementById('collectionFilter').value.trim().toLowerCase();
+        const groupFilter = document.getElementById('collectionGroupFilter').value;
+        const statusFilter = document.getElementById('collectionStatusFilter').value;
+        
+        const rows = this.tabs.map((tab, order) => {
+            const metadata = tab.metadata ? window.scratchXivCitations.normalize(tab.metadata, tab.name) : null;
+            return {
+                tab,
+                order,
+                group: this.getTabGroup(tab),
+                authors: metadata ? metadata.authors : [],
+                year: metadata ? metadata.year : null,
+                progress: this.getTabProgress(tab),
+                status: this.getReadingStatus(tab),
+                seconds: tab.reading ? tab.reading.seconds : 0,
+                highlights: tab.highlights.length,
+                lastOpenedAt: tab.lastOpenedAt || null
+            };
+        }).filter(row => {
+            if (statusFilter && row.status !== statusFilter) return false;
+            if (groupFilter === 'none' && row.group) return false;
+            if (groupFilter && groupFilter !== 'none' && (!row.group || row.group.id !== groupFilter)) return false;
+            if (!query) return true;
+            
+            const haystack = [
+                row.tab.name,
+                row.tab.pdfName,
+                row.group && row.group.name,
+                row.tab.metadata && row.tab.metadata.title,
+                ...row.authors
+            ].filter(Boolean).join(' ').toLowerCase();
+            return haystack.includes(query);
+        });
+        
+        const compare = {
+            order: (a, b) => a.order - b.order,
+            title: (a, b) => a.tab.name.localeCompare(b.tab.name, undefined, { sensitivity: 'base', numeric: true }),
+            progress: (a, b) => (a.progress && a.progress.ratio !== null ? a.progress.ratio : -1) -
+                (b.progress && b.progress.ratio !== null ? b.progress.ratio : -1),
+            highlights: (a, b) => a.highlights - b.highlights,
+            time: (a, b) => a.seconds - b.seconds,
+            lastOpened: (a, b) => (a.lastOpenedAt || 0) - (b.lastOpenedAt || 0)
+        }[this.collectionView.sort] || ((a, b) => a.order - b.order);
+        const direction = this.collectionView.direction === 'desc' ? -1 : 1;
+        
+        return rows.sort((a, b) => direction * compare(a, b) || a.order - b.order);
+    }
+    
+    renderCollection() {
+        const container = document.getElementById('collectionItems');
+        const rows = this.getCollectionRows();
+        const { layout, sort, direction } = this.collectionView;
+        
+        document.querySelectorAll('.collection-layout-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layout === layout);
+        });
+        document.getElementById('collectionSort').value = sort;
+        const directionBtn = document.getElementById('collectionSortDirection');
+        directionBtn.textContent = direction === 'desc' ? '↓' : '↑';
+        directionBtn.title = direction === 'desc' ? 'Descending' : 'Ascending';
+        document.getElementById('collectionStatus').textContent = rows.length === this.tabs.length
+            ? `${this.tabs.length} paper${this.tabs.length === 1 ? '' : 's'}`
+            : `${rows.length} of ${this.tabs.length} papers`;
+        
+        container.className = `collection-items ${layout}`;
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="empty-state">No papers match.</p>';
+            return;
+        }
+        
+        if (layout === 'table') {
+            this.renderCollectionTable(container, rows);
+        } else {
+            this.renderCollectionGrid(container, rows);
+        }
+        
+        container.querySelectorAll('[data-tab-id]').forEach(el => {
+            el.addEventListener('click', () => this.openCollectionTab(el.dataset.tabId));
+        });
+    }
+    
+    renderCollectionGrid(container, rows) {
+        container.innerHTML = rows.map(row => `
+            <div class="collection-card ${row.tab.id === this.activeTabId ? 'active' : ''}" data-tab-id="${this.escapeHtml(row.tab.id)}">
+                ${row.group ? `<span class="collection-group" style="--group-color: ${this.getTabGroupColor(row.group)}">${this.escapeHtml(row.group.name)}</span>` : ''}
+                <div class="collection-title">${this.escapeHtml(row.tab.name)}</div>
+                <div class="collection-authors">${this.escapeHtml(this.formatAuthors(row.authors, row.year))}</div>
+                ${this.renderProgress(row.progress)}
+                <div class="collection-meta">
+                    <span class="reading-badge ${this.escapeHtml(row.status)}">${this.escapeHtml(row.status)}</span>
+                    <span>${row.highlights} highlight${row.highlights === 1 ? '' : 's'}</span>
+                    <span>${this.formatDuration(row.seconds)}</span>
+                    <span>${row.lastOpenedAt ? this.formatRelativeTime(row.lastOpenedAt) : 'Never opened'}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    renderCollectionTable(container, rows) {
+        const { sort, direction } = this.collectionView;
+        const columns = [
+            ['title', 'Title'],
+            ['group', 'Group'],
+            ['progress', 'Progress'],
+            ['status', 'Status'],
+            ['highlights', 'Highlights'],
+            ['time', 'Time'],
+            ['lastOpened', 'Last Opened']
+        ];
+        const header = columns.map(([key, label]) => {
+            const sortable = key !== 'group' && key !== 'status';
+            const marker = key === sort ? (direction === 'desc' ? ' ↓' : ' ↑') : '';
+            return `<th ${sortable ? `data-sort="${key}" class="sortable"` : ''}>${label}${marker}</th>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="collection-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.tab.id === this.activeTabId ? 'active' : ''}" data-tab-id="${this.escapeHtml(row.tab.id)}">
+                            <td>
+                                <div class="collection-title">${this.escapeHtml(row.tab.name)}</div>
+                                <div class="collection-authors">${this.escapeHtml(this.formatAuthors(row.authors, row.year))}</div>
+                            </td>
+                            <td>${row.group ? `<span class="collection-group" style="--group-color: ${this.getTabGroupColor(row.group)}">${this.escapeHtml(row.group.name)}</span>` : ''}</td>
+                            <td>${this.renderProgress(row.progress)}</td>
+                            <td><span class="reading-badge ${this.escapeHtml(row.status)}">${this.escapeHtml(row.status)}</span></td>
+                            <td>${row.highlights}</td>
+                            <td>${row.seconds > 0 ? this.formatDuration(row.seconds) : '—'}</td>
+                            <td title="${row.lastOpenedAt ? new Date(row.lastOpenedAt).toLocaleString() : ''}">${row.lastOpenedAt ? this.formatRelativeTime(row.lastOpenedAt) : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => this.setCollectionSort(th.dataset.sort, true));
+        });
+    }
+    
+    renderProgress(progress) {
+        if (!progress) return '<div class="collection-progress empty">No PDF</div>';
+        if (!progress.ratio && progress.ratio !== 0) {
+            return `<div class="collection-progress">p. ${progress.page}</div>`;
+        }
+        
+        const percent = Math.round(progress.ratio * 100);
+        return `
+            <div class="collection-progress" title="Page ${progress.page} of ${progress.total}">
+                <span class="progress-track"><span class="progress-fill" style="width: ${percent}%"></span></span>
+                <span>${progress.page}/${progress.total}</span>
+            </div>
+        `;
+    }
+    
+    formatAuthors(authors, year) {
+        let text = authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ');
+        if (year) text += text ? ` (${year})` : String(year);
+        return text;
+    }
+    
+    // Clicking the sorted table column again flips the direction
+    setCollectionSort(sort, toggle = false) {
+        if (toggle && this.collectionView.sort === sort) {
+            this.collectionView.direction = this.collectionView.direction === 'desc' ? 'asc' : 'desc';
+        } else {
+            this.collectionView.sort = sort;
+            this.collectionView.direction = ['title', 'order'].includes(sort) ? 'asc' : 'desc';
+        }
+        this.renderCollection();
+        this.saveToStorage();
+    }
+    
+    setCollectionLayout(layout) {
+        this.collectionView.layout = layout;
+        this.renderCollection();
+        this.saveToStorage();
+    }
+    
+    async openCollectionTab(tabId) {
+        this.hideCollection();
+        if (tabId !== this.activeTabId) {
+            await this.switchToTab(tabId);
+        }
+    }
+    
+    showCollection() {
+        const groupFilter = document.getElementById('collectionGroupFilter');
+        const selected = groupFilter.value;
+        const groups = this.tabGroups.filter(group => this.tabs.some(t => t.groupId === group.id));
+        
+        groupFilter.innerHTML = '<option value="">All Groups</option><option value="none">Ungrouped</option>' +
+            groups.map(group => `<option value="${this.escapeHtml(group.id)}">${this.escapeHtml(group.name)}</option>`).join('');
+        groupFilter.value = selected === 'none' || groups.some(g => g.id === selected) ? selected : '';
+        
+        this.renderCollection();
+        document.getElementById('collectionModal').classList.add('visible');
+        document.getElementById('collectionFilter').focus();
+    }
+    
+    hideCollection() {
+        document.getElementById('collectionModal').classList.remove('visible');
+    }
+    
+    // Reading Progress Methods
+    // tab.reading is { status, seconds, pages: { pageNum: seconds }, days: { 'YYYY-MM-DD': seconds },
+    // startedAt, finishedAt, lastReadAt }. Time only runs while the window is focused,
+    // a PDF is open and there has been input within readingIdleLimit.
+    getReadingState(tab) {
+        if (!tab.reading) {
+            tab.reading = {
+                status: 'unread',
+                seconds: 0,
+                pages: {},
+                days: {},
+                startedAt: null,
+                finishedAt: null,
+                lastReadAt: null
+            };
+        }
+        return tab.reading;
+    }
+    
+    getReadingStatus(tab) {
+        return (tab.reading && tab.reading.status) || 'unread';
+    }
+    
+    getViewedPages(tab) {
+        const pages = (tab.reading && tab.reading.pages) || {};
+        return Object.keys(pages)
+            .filter(page => pages[page] >= this.readingPageThreshold)
+            .map(Number);
+    }
+    
+    // Share of the pages viewed, or null while the page count is unknown
+    getReadPercent(tab) {
+        const total = tab.id === this.activeTabId && this.currentPdf ? this.totalPages : tab.totalPages;
+        if (!total) return null;
+        return Math.round(this.getViewedPages(tab).filter(page => page <= total).length / total * 100);
+    }
+    
+    startReadingTracker() {
+        clearInterval(this.readingTimer);
+        this.readingTimer = setInterval(() => this.trackReadingTime(), 1000);
+    }
+    
+    markReadingActivity() {
+        this.lastActivityAt = Date.now();
+    }
+    
+    trackReadingTime() {
+        const tab = this.getActiveTab();
+        if (!tab || !tab.hasPdf || !this.currentPdf) return;
+        if (document.visibilityState !== 'visible' || !document.hasFocus()) return;
+        if (Date.now() - this.lastActivityAt > this.readingIdleLimit) return;
+        
+        const reading = this.getReadingState(tab);
+        const day = this.getDayKey(new Date());
+        const before = reading.pages[this.currentPage] || 0;
+        
+        reading.pages[this.currentPage] = before + 1;
+        reading.days[day] = (reading.days[day] || 0) + 1;
+        reading.seconds += 1;
+        reading.lastReadAt = Date.now();
+        if (!reading.startedAt) reading.startedAt = reading.lastReadAt;
+        
+        // The first page actually read starts the paper
+        if (before + 1 === this.readingPageThreshold && reading.status === 'unread') {
+            reading.status = 'reading';
+            console.log('Started reading:', tab.name);
+        }
+        
+        this.readingUnsavedSeconds++;
+        if (this.readingUnsavedSeconds >= 30) {
+            this.readingUnsavedSeconds = 0;
+            this.saveToStorage();
+        }
+        
+        if (reading.seconds % 5 === 0) {
+            this.renderReadingStats();
+        }
+    }
+    
+    setReadingStatus(tabId, status, record = true) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        const reading = this.getReadingState(tab);
+        const before = { status: reading.status, finishedAt: reading.finishedAt };
+        if (before.status === status) return;
+        
+        reading.status = status;
+        reading.finishedAt = status === 'done' ? Date.now() : null;
+        
+        if (record) {
+            const labels = { unread: 'Mark as unread', reading: 'Mark as reading', done: 'Mark as done' };
+            this.recordCommand({
+                label: labels[status],
+                tabId,
+                undo: () => {
+                    this.setReadingStatus(tabId, before.status, false);
+                    reading.finishedAt = before.finishedAt;
+                },
+                redo: () => this.setReadingStatus(tabId, status, false)
+            });
+        }
+        
+        this.renderReadingStats();
+        this.saveToStorage();
+    }
+    
+    // Top-level outline entries of the open PDF as [{ title, pageNum }] by page
+    async getReadingSections() {
+        const pdf = this.currentPdf;
+        if (!pdf) return [];
+        if (this.readingSections.pdf === pdf) return this.readingSections.sections;
+        
+        const sections = [];
+        try {
+            const outline = await pdf.getOutline();
+            for (const item of outline || []) {
+                const destination = await this.resolveDestination(pdf, item.dest);
+                if (destination) sections.push({ title: item.title, pageNum: destination.pageNum });
+            }
+        } catch (error) {
+            console.error('Error reading outline for statistics:', error);
+        }
+        sections.sort((a, b) => a.pageNum - b.pageNum);
+        
+        // Title page, abstract and so on before the first heading
+        if (sections.length > 0 && sections[0].pageNum > 1) {
+            sections.unshift({ title: 'Front matter', pageNum: 1 });
+        }
+        
+        this.readingSections = { pdf, sections };
+        return sections;
+    }
+    
+    // Each page belongs to the last section starting on or before it
+    getSectionStats(tab, sections, totalPages) {
+        const stats = sections.map(section => ({ ...section, endPage: section.pageNum, seconds: 0, highlights: 0 }));
+        const indexFor = page => {
+            let index = -1;
+            stats.forEach((section, i) => {
+                if (section.pageNum <= page) index = i;
+            });
+            return index;
+        };
+        
+        const pages = (tab.reading && tab.reading.pages) || {};
+        for (let page = 1; page <= totalPages; page++) {
+            const section = stats[indexFor(page)];
+            if (!section) continue;
+            section.endPage = page;
+            section.seconds += pages[page] || 0;
+        }
+        tab.highlights.forEach(highlight => {
+            const section = stats[indexFor(highlight.page)];
+            if (section) section.highlights++;
+        });
+        
+        return stats;
+    }
+    
+    async renderReadingStats() {
+        const modal = document.getElementById('readingStatsModal');
+        const body = document.getElementById('readingStatsBody');
+        if (!modal || !body || !modal.classList.contains('visible')) return;
+        
+        document.querySelectorAll('.reading-view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.readingStatsView);
+        });
+        
+        if (this.readingStatsView === 'library') {
+            this.renderLibraryReadingStats(body);
+            return;
+        }
+        
+        const tab = this.getActiveTab();
+        if (!tab || !tab.hasPdf || !this.currentPdf) {
+            body.innerHTML = '<p class="empty-state">Open a paper to see its reading progress.</p>';
+            return;
+        }
+        
+        const reading = this.getReadingState(tab);
+        const totalPages = this.totalPages;
+        const viewed = new Set(this.getViewedPages(tab));
+        const percent = this.getReadPercent(tab) || 0;
+        const sections = this.getSectionStats(tab, await this.getReadingSections(), totalPages);
+        
+        // The outline is loaded asynchronously, so another render may have started meanwhile
+        if (this.readingStatsView !== 'paper' || this.getActiveTab() !== tab) return;
+        
+        const maxSeconds = Math.max(1, ...Object.values(reading.pages));
+        const pageCells = Array.from({ length: totalPages }, (_, i) => {
+            const page = i + 1;
+            const seconds = reading.pages[page] || 0;
+            const intensity = seconds > 0 ? 0.2 + 0.8 * seconds / maxSeconds : 0;
+            return `<button class="reading-page ${viewed.has(page) ? 'viewed' : ''} ${page === this.currentPage ? 'current' : ''}" ` +
+                `data-page="${page}" style="--intensity: ${intensity.toFixed(2)}" ` +
+                `title="Page ${page}: ${seconds > 0 ? this.formatDuration(seconds) : 'not read'}"></button>`;
+        }).join('');
+        
+        const statuses = [['unread', 'Unread'], ['reading', 'Reading'], ['done', 'Done']];
+        const sectionRows = sections.map(section => `
+            <tr data-page="${section.pageNum}">
+                <td>${this.escapeHtml(section.title)}</td>
+                <td>${section.endPage > section.pageNum ? `${section.pageNum}–${section.endPage}` : section.pageNum}</td>
+                <td>${section.seconds > 0 ? this.formatDuration(section.seconds) : '—'}</td>
+                <td>${section.highlights || '—'}</td>
+            </tr>
+        `).join('');
+        
+        body.innerHTML = `
+            <div class="reading-paper-header">
+                <div class="reading-paper-title">${this.escapeHtml(tab.name)}</div>
+                <div class="notes-modes reading-status">
+                    ${statuses.map(([status, label]) => `
+                        <button class="notes-mode-btn reading-status-btn ${reading.status === status ? 'active' : ''}" data-status="${status}">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="reading-summary">
+                <div class="reading-stat"><span class="reading-stat-value">${percent}%</span><span>read (${viewed.size} of ${totalPages} pages)</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${this.formatDuration(reading.seconds)}</span><span>time spent</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${tab.highlights.length}</span><span>highlights</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${reading.lastReadAt ? this.formatRelativeTime(reading.lastReadAt) : '—'}</span><span>last read</span></div>
+            </div>
+            <div class="reading-section-title">Pages</div>
+            <div class="reading-pages">${pageCells}</div>
+            <div class="reading-section-title">Sections</div>
+            ${sections.length > 0 ? `
+                <table class="reading-sections">
+                    <thead><tr><th>Section</th><th>Pages</th><th>Time</th><th>Highlights</th></tr></thead>
+                    <tbody>${sectionRows}</tbody>
+                </table>
+            ` : '<p class="empty-state">This PDF has no outline to divide it into sections.</p>'}
+        `;
+        
+        body.querySelectorAll('.reading-status-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setReadingStatus(tab.id, btn.dataset.status));
+        });
+        body.querySelectorAll('.reading-page, .reading-sections tr[data-page]').forEach(el => {
+            el.addEventListener('click', () => {
+                this.hideReadingStats();
+                this.goToPage(parseInt(el.dataset.page));
+            });
+        });
+    }
+    
+    renderLibraryReadingStats(body) {
+        const counts = { unread: 0, reading: 0, done: 0 };
+        const days = {};
+        let seconds = 0;
+        let pagesRead = 0;
+        let highlights = 0;
+        
+        this.tabs.forEach(tab => {
+            counts[this.getReadingStatus(tab)]++;
+            highlights += tab.highlights.length;
+            if (!tab.reading) return;
+            seconds += tab.reading.seconds;
+            pagesRead += this.getViewedPages(tab).length;
+            Object.entries(tab.reading.days).forEach(([day, value]) => {
+                days[day] = (days[day] || 0) + value;
+            });
+        });
+        
+        // Last 14 days, oldest first
+        const recentDays = Array.from({ length: 14 }, (_, i) => {
+            const date = new Date();
+            date.setDate(date.getDate() - 13 + i);
+            return { date, seconds: days[this.getDayKey(date)] || 0 };
+        });
+        const weekSeconds = recentDays.slice(7).reduce((sum, day) => sum + day.seconds, 0);
+        const maxDay = Math.max(1, ...recentDays.map(day => day.seconds));
+        
+        const recent = this.tabs
+            .filter(tab => tab.reading && tab.reading.lastReadAt)
+            .sort((a, b) => b.reading.lastReadAt - a.reading.lastReadAt)
+            .slice(0, 5);
+        
+        body.innerHTML = `
+            <div class="reading-summary">
+                <div class="reading-stat"><span class="reading-stat-value">${counts.done}</span><span>done</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${counts.reading}</span><span>reading</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${counts.unread}</span><span>unread</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${this.formatDuration(seconds)}</span><span>total time</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${this.formatDuration(weekSeconds)}</span><span>last 7 days</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${pagesRead}</span><span>pages read</span></div>
+                <div class="reading-stat"><span class="reading-stat-value">${highlights}</span><span>highlights</span></div>
+            </div>
+            <div class="reading-section-title">Last 14 days</div>
+            <div class="reading-days">
+                ${recentDays.map(day => `
+                    <div class="reading-day" title="${day.date.toLocaleDateString()}: ${day.seconds > 0 ? this.formatDuration(day.seconds) : 'no reading'}">
+                        <span class="reading-day-bar" style="height: ${Math.round(day.seconds / maxDay * 100)}%"></span>
+                        <span class="reading-day-label">${day.date.getDate()}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="reading-section-title">Recently read</div>
+            ${recent.length > 0 ? `
+                <table class="reading-sections">
+                    <thead><tr><th>Paper</th><th>Status</th><th>Read</th><th>Time</th></tr></thead>
+                    <tbody>
+                        ${recent.map(tab => {
+                            const percent = this.getReadPercent(tab);
+                            return `
+                                <tr data-tab-id="${this.escapeHtml(tab.id)}">
+                                    <td>${this.escapeHtml(tab.name)}</td>
+                                    <td><span class="reading-badge ${this.escapeHtml(this.getReadingStatus(tab))}">${this.escapeHtml(this.getReadingStatus(tab))}</span></td>
+                                    <td>${percent === null ? '—' : `${percent}%`}</td>
+                                    <td>${this.formatDuration(tab.reading.seconds)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="empty-state">Nothing read yet.</p>'}
+        `;
+        
+        body.querySelectorAll('tr[data-tab-id]').forEach(row => {
+            row.addEventListener('click', async () => {
+                this.readingStatsView = 'paper';
+                await this.switchToTab(row.dataset.tabId);
+                this.renderReadingStats();
+            });
+        });
+    }
+    
+    setReadingStatsView(view) {
+        this.readingStatsView = view;
+        this.renderReadingStats();
+    }
+    
+    showReadingStats() {
+        this.readingStatsView = this.currentPdf ? 'paper' : 'library';
+        document.getElementById('readingStatsModal').classList.add('visible');
+        this.renderReadingStats();
+    }
+    
+    hideReadingStats() {
+        document.getElementById('readingStatsModal').classList.remove('visible');
+    }
+    
+    // Highlight Methods
+    // pdfRects are [x1, y1, x2, y2] in PDF user space, so they are independent of
+    // zoom, rotation, devicePixelRatio and the layout of the viewer
+    addHighlight(text, pdfRects, color, pageNum = this.currentPage, textRange = null, tabId = this.activeTabId) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        const highlight = {
+            id: Date.now().toString() + Math.random(),
+            text: text,
+            page: pageNum,
+            pdfRects: pdfRects, // Array of rectangles for multi-line selections
+            textRange: textRange, // { start, end } character offsets into the page text
+            color: color,
+            comment: '',
+            tags: [],
+            createdAt: Date.now()
+        };
+        
+        this.insertHighlight(tabId, highlight);
+        console.log('Added highlight on page', pageNum, 'with', pdfRects.length, 'rectangles');
+        
+        this.recordCommand({
+            label: 'Add highlight',
+            tabId,
+            undo: () => this.removeHighlight(tabId, highlight.id),
+            redo: () => this.insertHighlight(tabId, highlight)
+        });
+    }
+    
+    insertHighlight(tabId, highlight, index = null) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        if (index === null || index > tab.highlights.length) {
+            tab.highlights.push(highlight);
+        } else {
+            tab.highlights.splice(index, 0, highlight);
+        }
+        this.refreshHighlightsFor(tabId);
+    }
+    
+    removeHighlight(tabId, highlightId) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        tab.highlights = tab.highlights.filter(h => h.id !== highlightId);
+        this.refreshHighlightsFor(tabId);
+    }
+    
+    refreshHighlightsFor(tabId) {
+        if (tabId === this.activeTabId) {
+            this.renderHighlights();
+            this.renderHighlightsList();
+            this.renderNotesPreview(); // highlight links show the highlight's page and text
+        }
+        if (this.splitView && this.splitView.tabId === tabId) this.renderSplitHighlights();
+        this.saveToStorage();
+    }
+    
+    // Highlights created before PDF anchoring stored CSS pixel rects relative to the
+    // page container (rects, or a single rect in the oldest format) plus the scale
+    // they were drawn at. Convert them through the viewport they were drawn with.
+    async migrateLegacyHighlights(tab) {
+        if (!tab || !this.currentPdf) return;
+        
+        const legacy = tab.highlights.filter(h => !h.pdfRects && (h.rects || h.rect));
+        if (legacy.length === 0) return;
+        
+        for (const highlight of legacy) {
+            if (highlight.page < 1 || highlight.page > this.totalPages) continue;
+            
+            try {
+                const page = await this.currentPdf.getPage(highlight.page);
+                const viewport = page.getViewport({ scale: highlight.scale || 1.0 });
+                const rects = highlight.rects || [highlight.rect];
+                
+                highlight.pdfRects = rects.filter(Boolean).map(rect => {
+                    return this.viewportRectToPdf(viewport, rect);
+                });
+                highlight.textRange = highlight.textRange || null;
+                delete highlight.rects;
+                delete highlight.rect;
+                delete highlight.scale;
+            } catch (error) {
+                console.error('Error migrating highlight:', highlight.id, error);
+            }
+        }
+        
+        console.log('Migrated', legacy.length, 'legacy highlights for tab:', tab.name);
+        await this.saveToStorage();
+    }
+    
+    viewportRectToPdf(viewport, rect) {
+        const [x1, y1] = viewport.convertToPdfPoint(rect.left, rect.top);
+        const [x2, y2] = viewport.convertToPdfPoint(rect.left + rect.width, rect.top + rect.height);
+        return [
+            Math.min(x1, x2),
+            Math.min(y1, y2),
+            Math.max(x1, x2),
+            Math.max(y1, y2)
+        ];
+    }
+    
+    pdfRectToViewport(viewport, pdfRect) {
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(pdfRect);
+        return {
+            left: Math.min(x1, x2),
+            top: Math.min(y1, y2),
+            width: Math.abs(x2 - x1),
+            height: Math.abs(y2 - y1)
+        };
+    }
+    
+    getRenderedPageView(pageNum) {
+        if (this.viewMode === 'continuous') {
+            const view = this.pageViews.get(pageNum);
+            return view && view.rendered ? view : null;
+        }
+        const view = this.singlePageView;
+        return view && view.pageNum === pageNum ? view : null;
+    }
+    
+    deleteHighlight(highlightId, tabId = this.activeTabId) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        const index = tab.highlights.findIndex(h => h.id === highlightId);
+        if (index === -1) return;
+        
+        const highlight = tab.highlights[index];
+        this.removeHighlight(tabId, highlightId);
+        console.log('Deleted highlight:', highlightId);
+        
+        this.recordCommand({
+            label: 'Delete highlight',
+            tabId,
+            undo: () => this.insertHighlight(tabId, highlight, index),
+            redo: () => this.removeHighlight(tabId, highlightId)
+        });
+    }
+    
+    renderHighlights() {
+        if (this.viewMode === 'continuous') {
+            this.pageViews.forEach(view => {
+                if (view.rendered) this.renderPageHighlights(view);
+            });
+        } else if (this.singlePageView) {
+            this.renderPageHighlights(this.singlePageView);
+        }
+    }
+    
+    // Views of the split pane carry the tab they show; the others show the active tab
+    renderPageHighlights(view) {
+        const tab = view.tabId ? this.tabs.find(t => t.id === view.tabId) : this.getActiveTab();
+        const highlightLayer = view.highlightLayer;
+        highlightLayer.innerHTML = '';
+        
+        if (!tab) return;
+        
+        // Not yet migrated to PDF coordinates; they appear once the migration has run
+        const pageHighlights = tab.highlights.filter(h => h.page === view.pageNum && h.pdfRects && !h.kind);
+        
+        pageHighlights.forEach(highlight => {
+            // Create a div for each rectangle in the highlight
+            highlight.pdfRects.forEach(pdfRect => {
+                const rect = this.pdfRectToViewport(view.viewport, pdfRect);
+                const div = document.createElement('div');
+                div.className = 'highlight';
+                div.dataset.highlightId = highlight.id;
+                
+                div.style.left = rect.left + 'px';
+                div.style.top = rect.top + 'px';
+                div.style.width = rect.width + 'px';
+                div.style.height = rect.height + 'px';
+                div.style.backgroundColor = highlight.color;
+                if (highlight.id === this.flashHighlightId) div.classList.add('flash');
+                
+                div.addEventListener('click', () => {
+                    if (confirm('Delete this highlight?')) {
+                        this.deleteHighlight(highlight.id, tab.id);
+                    }
+                });
+                
+                highlightLayer.appendChild(div);
+            });
+        });
+        
+        this.renderPageShapes(view, tab.highlights.filter(h => h.page === view.pageNum && h.kind));
+    }
+    
+    updateHighlight(highlightId, changes, tabId = this.activeTabId, record = true) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        const highlight = tab.highlights.find(h => h.id === highlightId);
+        if (!highlight) return;
+        
+        const previous = {};
+        Object.keys(changes).forEach(key => {
+            previous[key] = highlight[key];
+        });
+        
+        Object.assign(highlight, changes);
+        this.refreshHighlightsFor(tabId);
+        console.log('Updated highlight:', highlightId, Object.keys(changes));
+        
+        if (record) {
+            this.recordCommand({
+                label: 'Edit highlight',
+                tabId,
+                undo: () => this.updateHighlight(highlightId, previous, tabId, false),
+                redo: () => this.updateHighlight(highlightId, changes, tabId, false)
+            });
+        }
+    }
+    
+    normalizeTag(tag) {
+        return tag.trim().replace(/^#+/, '').replace(/\s+/g, '-');
+    }
+    
+    addHighlightTags(highlightId, input) {
+        const tab = this.getActiveTab();
+        const highlight = tab && tab.highlights.find(h => h.id === highlightId);
+        if (!highlight) return;
+        
+        const tags = [...(highlight.tags || [])];
+        input.split(',').map(t => this.normalizeTag(t)).filter(Boolean).forEach(tag => {
+            if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        });
+        this.updateHighlight(highlightId, { tags });
+    }
+    
+    removeHighlightTag(highlightId, tag) {
+        const tab = this.getActiveTab();
+        const highlight = tab && tab.highlights.find(h => h.id === highlightId);
+        if (!highlight) return;
+        
+        this.updateHighlight(highlightId, { tags: (highlight.tags || []).filter(t => t !== tag) });
+    }
+    
+    // The palette offered in the toolbar
+    getHighlightColors() {
+        return Array.from(document.querySelectorAll('.highlight-btn[data-color]')).map(btn => ({
+            color: btn.dataset.color,
+            name: btn.title.replace(' Highlight', '')
+        }));
+    }
+    
+    setHighlightColor(color) {
+        document.querySelectorAll('.highlight-btn').forEach(b => b.classList.toggle('active', b.dataset.color === color));
+        this.selectedHighlightColor = color;
+        if (this.drawTool) this.setDrawTool(null);
+        this.highlightMode = true;
+        
+        // Add visual feedback
+        document.querySelectorAll('.pdf-canvas-container').forEach(container => container.classList.add('highlight-mode'));
+        document.getElementById('pdfPages').classList.add('highlight-mode');
+        
+        console.log('Highlight color selected:', this.selectedHighlightColor);
+    }
+    
+    exitHighlightMode() {
+        document.querySelectorAll('.highlight-btn').forEach(b => b.classList.remove('active'));
+        this.highlightMode = false;
+        if (this.drawTool) this.setDrawTool(null);
+        
+        // Remove visual feedback
+        document.querySelectorAll('.pdf-canvas-container').forEach(container => container.classList.remove('highlight-mode'));
+        document.getElementById('pdfPages').classList.remove('highlight-mode');
+        
+        console.log('Highlight mode disabled');
+    }
+    
+    matchesHighlightFilter(highlight) {
+        const { color, tag, fromPage, toPage } = this.highlightFilter;
+        if (color && highlight.color !== color) return false;
+        if (tag && !(highlight.tags || []).includes(tag)) return false;
+        if (fromPage && highlight.page < fromPage) return false;
+        if (toPage && highlight.page > toPage) return false;
+        return true;
+    }
+    
+    renderHighlightFilters(tab) {
+        const colorSelect = document.getElementById('highlightColorFilter');
+        const tagSelect = document.getElementById('highlightTagFilter');
+        const highlights = tab ? tab.highlights : [];
+        
+        const colors = this.getHighlightColors();
+        highlights.forEach(h => {
+            if (!colors.some(c => c.color === h.color)) colors.push({ color: h.color, name: h.color });
+        });
+        colorSelect.innerHTML = '<option value="">All colors</option>' + colors.map(c =>
+            `<option value="${this.escapeHtml(c.color)}">${this.escapeHtml(c.name)}</option>`
+        ).join('');
+        
+        const tags = [...new Set(highlights.flatMap(h => h.tags || []))].sort((a, b) => a.localeCompare(b));
+        tagSelect.innerHTML = '<option value="">All tags</option>' + tags.map(t =>
+            `<option value="${this.escapeHtml(t)}">#${this.escapeHtml(t)}</option>`
+        ).join('');
+        
+        // Drop filters that no longer match anything selectable
+        if (!colors.some(c => c.color === this.highlightFilter.color)) this.highlightFilter.color = '';
+        if (!tags.includes(this.highlightFilter.tag)) this.highlightFilter.tag = '';
+        colorSelect.value = this.highlightFilter.color;
+        tagSelect.value = this.highlightFilter.tag;
+    }
+    
+    renderHighlightsList() {
+        const tab = this.getActiveTab();
+        const container = document.getElementById('highlightsList');
+        
+        this.renderHighlightFilters(tab);
+        this.updateThumbnailMarkers();
+        
+        if (!tab || tab.highlights.length === 0) {
+            container.innerHTML = '<p class="empty-state">No highlights yet. Select text in the PDF to highlight.</p>';
+            return;
+        }
+        
+        container.innerHTML = '';
+        
+        // Sort by page
+        const sortedHighlights = [...tab.highlights].sort((a, b) => a.page - b.page);
+        
+        // Filter to highlights with text, and drawings
+        const textHighlights = sortedHighlights.filter(h => (h.text && h.text.trim()) || h.kind);
+        
+        if (textHighlights.length === 0) {
+            container.innerHTML = '<p class="empty-state">No highlights yet. Select text in the PDF to highlight.</p>';
+            return;
+        }
+        
+        const visibleHighlights = textHighlights.filter(h => this.matchesHighlightFilter(h));
+        if (visibleHighlights.length === 0) {
+            container.innerHTML = '<p class="empty-state">No highlights match the filters.</p>';
+            return;
+        }
+        
+        const colors = this.getHighlightColors();
+        
+        visibleHighlights.forEach(highlight => {
+            const item = document.createElement('div');
+            item.className = 'highlight-item';
+            item.style.setProperty('--highlight-color', highlight.color);
+            
+            // Show how many rectangles this highlight spans
+            const rects = highlight.pdfRects || highlight.rects || [highlight.rect];
+            const rectsInfo = rects.length > 1 ? ` (${rects.length} lines)` : '';
+            const comment = highlight.comment || '';
+            if (highlight.kind) item.classList.add('shape');
+            
+            item.innerHTML = `
+                <div class="highlight-text">${this.escapeHtml(this.describeHighlight(highlight))}</div>
+                <div class="highlight-page">Page ${highlight.page}${rectsInfo}</div>
+                <div class="highlight-comment ${comment ? '' : 'empty'}" title="Click to edit comment">${comment ? this.escapeHtml(comment) : 'Add a comment…'}</div>
+                <div class="highlight-tags">
+                    ${(highlight.tags || []).map(tag => `
+                        <span class="highlight-tag">#${this.escapeHtml(tag)}<button class="remove-tag" data-tag="${this.escapeHtml(tag)}" title="Remove tag">×</button></span>
+                    `).join('')}
+                    <input type="text" class="tag-input" placeholder="+ tag">
+                </div>
+                <div class="highlight-colors">
+                    ${highlight.kind ? '' : colors.map(c => `
+                        <button class="color-swatch ${c.color === highlight.color ? 'active' : ''}" data-color="${c.color}" title="${c.name}" style="--swatch-color: ${c.color}"></button>
+                    `).join('')}
+                </div>
+                <button class="link-highlight" title="Link in notes">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                        <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                    </svg>
+                </button>
+                <button class="delete-highlight" data-highlight-id="${this.escapeHtml(highlight.id)}" title="Delete highlight">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            `;
+            
+            item.addEventListener('click', (e) => {
+                if (!e.target.closest('.delete-highlight, .link-highlight, .highlight-comment, .highlight-tags, .highlight-colors, textarea')) {
+                    this.goToPage(highlight.page);
+                }
+            });
+            
+            const commentEl = item.querySelector('.highlight-comment');
+            commentEl.addEventListener('click', () => this.editHighlightComment(highlight, commentEl));
+            
+            const tagInput = item.querySelector('.tag-input');
+            tagInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && tagInput.value.trim()) {
+                    this.addHighlightTags(highlight.id, tagInput.value);
+                } else if (e.key === 'Escape') {
+                    tagInput.value = '';
+                    tagInput.blur();
+                }
+            });
+            
+            item.querySelectorAll('.remove-tag').forEach(btn => {
+                btn.addEventListener('click', () => this.removeHighlightTag(highlight.id, btn.dataset.tag));
+            });
+            
+            item.querySelector('.link-highlight').addEventListener('click', () => this.insertHighlightLink(highlight));
+            
+            item.querySelectorAll('.color-swatch').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    if (btn.dataset.color !== highlight.color) {
+                        this.updateHighlight(highlight.id, { color: btn.dataset.color });
+                    }
+                });
+            });
+            
+            const deleteBtn = item.querySelector('.delete-highlight');
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                console.log('Delete button clicked for highlight:', highlight.id);
+                this.deleteHighlight(highlight.id);
+            });
+            
+            container.appendChild(item);
+        });
+        
+        console.log('Rendered', visibleHighlights.length, 'of', textHighlights.length, 'highlights in list');
+    }
+    
+    editHighlightComment(highlight, commentEl) {
+        if (commentEl.querySelector('textarea')) return;
+        
+        const textarea = document.createElement('textarea');
+        textarea.className = 'highlight-comment-editor';
+        textarea.value = highlight.comment || '';
+        textarea.placeholder = 'Add a comment…';
+        commentEl.replaceWith(textarea);
+        textarea.focus();
+        
+        let cancelled = false;
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                cancelled = true;
+                textarea.blur();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                textarea.blur();
+            }
+        });
+        textarea.addEventListener('blur', () => {
+            const comment = textarea.value.trim();
+            if (cancelled || comment === (highlight.comment || '')) {
+                this.renderHighlightsList();
+            } else {
+                this.updateHighlight(highlight.id, { comment });
+            }
+        });
+    }
+    
+    clearHighlightFilter() {
+        this.highlightFilter = { color: '', tag: '', fromPage: null, toPage: null };
+        document.getElementById('highlightFromPage').value = '';
+        document.getElementById('highlightToPage').value = '';
+        this.renderHighlightsList();
+    }
+    
+    handleTextSelection() {
+        const selection = window.getSelection();
+        const text = selection.toString().trim();
+        
+        if (!text || !this.highlightMode) {
+            console.log('No text selected or highlight mode disabled');
+            return;
+        }
+        
+        console.log('Text selected:', text.substring(0, 50) + '...');
+        
+        try {
+            const range = selection.getRangeAt(0);
+            const clientRects = range.getClientRects();
+            
+            if (clientRects.length === 0) {
+                console.log('No rects found for selection');
+                return;
+            }
+            
+            // The page the selection starts on, in either view mode
+            const anchor = range.startContainer.nodeType === Node.TEXT_NODE
+                ? range.startContainer.parentElement
+                : range.startContainer;
+            const container = anchor && anchor.closest('[data-page-number]');
+            if (!container) {
+                console.log('Selection is not inside a page');
+                return;
+            }
+            const pageNum = parseInt(container.dataset.pageNumber);
+            const view = container.closest('.split-pane') ? this.getSplitPageView(pageNum) : this.getRenderedPageView(pageNum);
+            if (!view) {
+                console.log('Page', pageNum, 'is not rendered');
+                return;
+            }
+            const containerRect = container.getBoundingClientRect();
+            
+            console.log('Container position:', {
+                left: containerRect.left,
+                top: containerRect.top
+            });
+            
+            // Collect all rectangles for this selection
+            const highlightRects = [];
+            
+            for (let i = 0; i < clientRects.length; i++) {
+                const rect = clientRects[i];
+                
+                // Calculate position relative to the PDF container (not the viewport or scroll)
+                const highlightRect = {
+                    left: rect.left - containerRect.left,
+                    top: rect.top - containerRect.top,
+                    width: rect.width,
+                    height: rect.height
+                };
+                
+                // Filter out tiny/invalid rectangles and parts of the selection spilling onto other pages
+                const onPage = rect.top >= containerRect.top - 1 && rect.bottom <= containerRect.bottom + 1;
+                if (onPage && highlightRect.width > 1 && highlightRect.height > 1) {
+                    highlightRects.push(this.viewportRectToPdf(view.viewport, highlightRect));
+                    console.log('Rect', i, ':', highlightRect);
+                }
+            }
+            
+            if (highlightRects.length > 0) {
+                // Create a single highlight with all rectangles
+                const textRange = this.getSelectionTextRange(range, view.textLayer);
+                this.addHighlight(text, highlightRects, this.selectedHighlightColor, pageNum, textRange, view.tabId || this.activeTabId);
+                console.log('Created highlight with', highlightRects.length, 'rectangles');
+            } else {
+                console.log('No valid rectangles found');
+            }
+            
+            selection.removeAllRanges();
+            console.log('Highlight added successfully');
+        } catch (error) {
+            console.error('Error handling text selection:', error);
+        }
+    }
+    
+    // Maps a selection range onto character offsets in the page text using the
+    // offsets recorded on the text layer spans
+    getSelectionTextRange(range, textLayer) {
+        const start = this.getTextLayerOffset(textLayer, range.startContainer, range.startOffset);
+        const end = this.getTextLayerOffset(textLayer, range.endContainer, range.endOffset);
+        if (start === null || end === null || end <= start) return null;
+        return { start, end };
+    }
+    
+    getTextLayerOffset(textLayer, node, offset) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const span = node.parentElement;
+            if (!span || span.parentElement !== textLayer) return null;
+            return parseInt(span.dataset.offset) + offset;
+        }
+        
+        if (node === textLayer) {
+            // Boundary between spans: use the start of the next span, or the end of the last
+            const next = textLayer.children[offset];
+            if (next) return parseInt(next.dataset.offset);
+            const last = textLayer.lastElementChild;
+            return last ? parseInt(last.dataset.offset) + last.textContent.length : null;
+        }
+        
+        if (node.parentElement === textLayer) {
+            return parseInt(node.dataset.offset) + (offset > 0 ? node.textContent.length : 0);
+        }
+        
+        return null;
+    }
+    
+    // Drawing Methods
+    // Pen, rectangle and arrow drawings are highlights with a kind (see
+    // pdf-annotations.js), drawn as SVG over the page in PDF coordinates.
+    describeHighlight(highlight) {
+        return highlight.text || this.shapeLabels[highlight.kind] || 'Highlight';
+    }
+    
+    setDrawTool(tool) {
+        this.drawTool = tool === this.drawTool ? null : tool;
+        this.cancelDrawing();
+        
+        document.querySelectorAll('.draw-tool-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.drawTool);
+        });
+        const viewer = document.getElementById('pdfViewer');
+        viewer.classList.toggle('drawing', !!this.drawTool);
+        viewer.dataset.tool = this.drawTool || '';
+        
+        // Drawing and text highlighting are separate modes
+        if (this.drawTool) {
+            document.querySelectorAll('.highlight-btn').forEach(b => b.classList.remove('active'));
+            this.highlightMode = false;
+            document.querySelectorAll('.pdf-canvas-container').forEach(container => container.classList.remove('highlight-mode'));
+            document.getElementById('pdfPages').classList.remove('highlight-mode');
+        }
+        console.log('Draw tool:', this.drawTool);
+    }
+    
+    loadDrawSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('scratchxiv_draw')) || {};
+        } catch (error) {
+            console.error('Invalid drawing settings:', error);
+            return {};
+        }
+    }
+    
+    setDrawSettings(changes) {
+        Object.assign(this.drawSettings, changes);
+        localStorage.setItem('scratchxiv_draw', JSON.stringify(this.drawSettings));
+    }
+    
+    renderPageShapes(view, shapes) {
+        if (shapes.length === 0) return;
+        
+        const svg = this.createInkLayer(view);
+        shapes.forEach(shape => {
+            const element = this.createShapeElement(view.viewport, shape);
+            element.dataset.highlightId = shape.id;
+            element.classList.add('ink-shape');
+            if (shape.id === this.flashHighlightId) element.classList.add('flash');
+            
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = shape.comment || this.describeHighlight(shape);
+            element.appendChild(title);
+            
+            element.addEventListener('click', () => {
+                if (!this.drawTool && confirm('Delete this drawing?')) {
+                    this.deleteHighlight(shape.id, view.tabId || this.activeTabId);
+                }
+            });
+            svg.appendChild(element);
+        });
+        view.highlightLayer.appendChild(svg);
+    }
+    
+    createInkLayer(view) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'ink-layer');
+        svg.setAttribute('width', view.viewport.width);
+        svg.setAttribute('height', view.viewport.height);
+        return svg;
+    }
+    
+    // A <path> for the drawing in viewport coordinates
+    createShapeElement(viewport, shape) {
+        const annotations = window.scratchXivPdfAnnotations;
+        const toViewport = point => viewport.convertToViewportPoint(point[0], point[1]);
+        const line = points => points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0].toFixed(1)} ${p[1].toFixed(1)}`).join(' ');
+        
+        let d;
+        if (shape.kind === 'ink') {
+            d = shape.paths.map(path => line(path.map(toViewport))).join(' ');
+        } else if (shape.kind === 'rect') {
+            const [[x1, y1], [x2, y2]] = shape.points;
+            d = line([[x1, y1], [x2, y1], [x2, y2], [x1, y2]].map(toViewport)) + ' Z';
+        } else {
+            const [from, to] = shape.points;
+            d = line([from, to].map(toViewport));
+            if (shape.kind === 'arrow') {
+                const [left, right] = annotations.getArrowHead(from, to, annotations.arrowHeadLength(shape.strokeWidth));
+                d += ' ' + line([left, to, right].map(toViewport));
+            }
+        }
+        
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('stroke', shape.color);
+        path.setAttribute('stroke-width', (shape.strokeWidth || 1) * viewport.scale);
+        return path;
+    }
+    
+    getPointerPagePoint(view, e) {
+        const rect = view.container.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+    
+    startDrawing(e) {
+        if (!this.drawTool || e.button !== 0) return;
+        
+        const container = e.target.closest('[data-page-number]');
+        const view = container && this.getRenderedPageView(parseInt(container.dataset.pageNumber));
+        if (!view) return;
+        
+        e.preventDefault();
+        document.getElementById('pdfViewer').setPointerCapture(e.pointerId);
+        
+        if (this.drawTool === 'eraser') {
+            this.erasedIds = new Set();
+            this.eraseAt(e);
+            return;
+        }
+        
+        const svg = this.createInkLayer(view);
+        svg.classList.add('preview', this.drawTool);
+        const element = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        element.setAttribute('stroke', this.drawSettings.color);
+        element.setAttribute('stroke-width', this.drawSettings.width * view.viewport.scale);
+        svg.appendChild(element);
+        view.highlightLayer.appendChild(svg);
+        
+        const point = this.getPointerPagePoint(view, e);
+        this.drawing = { view, kind: this.drawTool, points: [point, point], element: svg };
+    }
+    
+    continueDrawing(e) {
+        if (this.erasedIds) {
+            this.eraseAt(e);
+            return;
+        }
+        if (!this.drawing) return;
+        
+        const { view, kind, points } = this.drawing;
+        const point = this.getPointerPagePoint(view, e);
+        if (kind === 'ink') {
+            const last = points[points.length - 1];
+            if (Math.hypot(point[0] - last[0], point[1] - last[1]) < 1.5) return;
+            points.push(point);
+        } else {
+            points[1] = point;
+        }
+        
+        // Preview in viewport coordinates, like the stored shape but without the round trip
+        let drawn = points;
+        if (kind === 'rect' || kind === 'snip') {
+            const [[x1, y1], [x2, y2]] = points;
+            drawn = [[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]];
+        }
+        let d = drawn.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0]} ${p[1]}`).join(' ');
+        if (kind === 'arrow') {
+            const annotations = window.scratchXivPdfAnnotations;
+            const length = annotations.arrowHeadLength(this.drawSettings.width) * view.viewport.scale;
+            const [left, right] = annotations.getArrowHead(points[0], points[1], length);
+            d += ` M${left[0]} ${left[1]} L${points[1][0]} ${points[1][1]} L${right[0]} ${right[1]}`;
+        }
+        this.drawing.element.firstChild.setAttribute('d', d);
+    }
+    
+    finishDrawing() {
+        if (this.erasedIds) {
+            this.erasedIds = null;
+            return;
+        }
+        if (!this.drawing) return;
+        
+        const { view, kind, points, element } = this.drawing;
+        this.drawing = null;
+        element.remove();
+        
+        // A click without a drag draws nothing
+        const [first, last] = [points[0], points[points.length - 1]];
+        const span = kind === 'ink'
+            ? points.length > 2
+            : Math.hypot(last[0] - first[0], last[1] - first[1]) >= 4;
+        if (!span) return;
+        
+        if (kind === 'snip') {
+            this.snipRegion(view, first, last);
+            return;
+        }
+        
+        const pdfPoints = points.map(([x, y]) => view.viewport.convertToPdfPoint(x, y));
+        this.addShape(kind, pdfPoints, view.pageNum);
+    }
+    
+    cancelDrawing() {
+        if (this.drawing) this.drawing.element.remove();
+        this.drawing = null;
+        this.erasedIds = null;
+    }
+    
+    // Removes whichever highlight or drawing is under the pointer
+    eraseAt(e) {
+        const target = document.elementFromPoint(e.clientX, e.clientY);
+        const element = target && target.closest('.highlight-layer [data-highlight-id]');
+        if (!element || this.erasedIds.has(element.dataset.highlightId)) return;
+        
+        this.erasedIds.add(element.dataset.highlightId);
+        this.deleteHighlight(element.dataset.highlightId);
+    }
+    
+    addShape(kind, pdfPoints, pageNum) {
+        const tab = this.getActiveTab();
+        if (!tab) return;
+        
+        const round = ([x, y]) => [Math.round(x * 100) / 100, Math.round(y * 100) / 100];
+        const shape = {
+            id: Date.now().toString() + Math.random(),
+            kind,
+            text: '',
+            page: pageNum,
+            color: this.drawSettings.color,
+            strokeWidth: this.drawSettings.width,
+            comment: '',
+            tags: [],
+            createdAt: Date.now()
+        };
+        if (kind === 'ink') {
+            shape.paths = [pdfPoints.map(round)];
+        } else {
+            shape.points = [pdfPoints[0], pdfPoints[pdfPoints.length - 1]].map(round);
+        }
+        // Keeps thumbnails, exports and navigation working as for text highlights
+        shape.pdfRects = [window.scratchXivPdfAnnotations.getShapeBounds(shape)];
+        
+        this.insertHighlight(tab.id, shape);
+        console.log('Added', kind, 'drawing on page', pageNum);
+        
+        const tabId = tab.id;
+        this.recordCommand({
+            label: `Add ${this.shapeLabels[kind].toLowerCase()}`,
+            tabId,
+            undo: () => this.removeHighlight(tabId, shape.id),
+            redo: () => this.insertHighlight(tabId, shape)
+        });
+    }
+    
+    // Snip Methods
+    // Re-renders the selected part of the page at snipScale, stores it as a PNG
+    // and puts an ![...](snip:<id>) reference at the notes cursor
+    async snipRegion(view, from, to) {
+        const tab = this.getActiveTab();
+        if (!tab || !this.currentPdf) return;
+        if (!this.storageReady) {
+            alert('Snipped images are kept in IndexedDB, which is not available.');
+            return;
+        }
+        
+        const left = Math.max(0, Math.min(from[0], to[0]));
+        const top = Math.max(0, Math.min(from[1], to[1]));
+        const width = Math.min(view.viewport.width, Math.max(from[0], to[0])) - left;
+        const height = Math.min(view.viewport.height, Math.max(from[1], to[1])) - top;
+        if (width < 4 || height < 4) return;
+        
+        let ratio = this.snipScale / view.viewport.scale;
+        ratio = Math.min(ratio, Math.sqrt(this.snipMaxPixels / (width * height)));
+        
+        try {
+            const page = await this.currentPdf.getPage(view.pageNum);
+            const viewport = page.getViewport({
+                scale: view.viewport.scale * ratio,
+                rotation: view.viewport.rotation,
+                offsetX: -left * ratio,
+                offsetY: -top * ratio
+            });
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('Could not encode the image');
+            
+            const image = {
+                id: this.generateSnipId(),
+                tabId: tab.id,
+                page: view.pageNum,
+                blob,
+                width: canvas.width,
+                height: canvas.height,
+                createdAt: Date.now()
+            };
+            await window.scratchXivStorage.saveImage(image);
+            
+            // The tab may have changed while rendering; the image still belongs to its own tab
+            if (this.activeTabId !== tab.id) return;
+            this.insertIntoNotes(`\n![Page ${image.page}](snip:${image.id})\n`);
+            this.updateStorageInfo();
+            console.log('Snipped', canvas.width + 'x' + canvas.height, 'image from page', image.page);
+        } catch (error) {
+            console.error('Error snipping region:', error);
+            alert('Error snipping region: ' + error.message);
+        }
+    }
+    
+    generateSnipId() {
+        return 'snip-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+    
+    async deleteSnipImages(tabId) {
+        const images = await window.scratchXivStorage.loadImages(tabId);
+        images.forEach(image => this.forgetSnipUrl(image.id));
+        await window.scratchXivStorage.deleteImages(tabId);
+    }
+    
+    async getSnipUrl(id) {
+        if (this.snipUrls.has(id)) return this.snipUrls.get(id);
+        
+        let url = null;
+        try {
+            const image = this.storageReady ? await window.scratchXivStorage.loadImage(id) : null;
+            if (image && image.blob) url = URL.createObjectURL(image.blob);
+        } catch (error) {
+            console.error('Error loading snipped image:', error);
+        }
+        // A concurrent lookup may have finished first
+        if (this.snipUrls.has(id)) {
+            if (url) URL.revokeObjectURL(url);
+            return this.snipUrls.get(id);
+        }
+        this.snipUrls.set(id, url);
+        return url;
+    }
+    
+    forgetSnipUrl(id) {
+        const url = this.snipUrls.get(id);
+        if (url) URL.revokeObjectURL(url);
+        this.snipUrls.delete(id);
+    }
+    
+    // Fills in the <img data-snip-id> elements the Markdown renderer left without a src
+    loadNoteImages(container) {
+        container.querySelectorAll('img[data-snip-id]').forEach(async img => {
+            const url = await this.getSnipUrl(img.dataset.snipId);
+            if (url) {
+                img.src = url;
+            } else {
+                img.classList.add('broken');
+                img.title = 'Image not found';
+            }
+        });
+    }
+    
+    // Ids of the images referenced in the notes, in order of appearance
+    getSnipIds(notes) {
+        const ids = [];
+        for (const match of (notes || '').matchAll(/!\[[^\]]*\]\(snip:([\w-]+)\)/g)) {
+            if (!ids.includes(match[1])) ids.push(match[1]);
+        }
+        return ids;
+    }
+    
+    // Notes Methods
+    setNotesMode(mode) {
+        this.notesMode = mode;
+        localStorage.setItem('scratchxiv_notes_mode', mode);
+        this.updateNotesModeUI();
+        this.renderNotesPreview();
+    }
+    
+    updateNotesModeUI() {
+        const editor = document.getElementById('notesEditor');
+        if (!editor) return;
+        
+        editor.dataset.mode = this.notesMode;
+        document.querySelectorAll('.notes-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.notesMode);
+        });
+    }
+    
+    renderNotesPreview() {
+        const preview = document.getElementById('notesPreview');
+        if (!preview || this.notesMode === 'edit') return;
+        
+        const tab = this.getActiveTab();
+        const notes = tab ? tab.notes || '' : '';
+        if (!notes.trim()) {
+            preview.innerHTML = '<p class="empty-state">Nothing to preview yet.</p>';
+            return;
+        }
+        
+        try {
+            preview.innerHTML = window.scratchXivMarkdown.render(notes, tab.highlights);
+            this.loadNoteImages(preview);
+        } catch (error) {
+            console.error('Error rendering notes preview:', error);
+            preview.textContent = notes;
+        }
+    }
+    
+    scheduleNotesPreview() {
+        clearTimeout(this.notesPreviewTimeout);
+        this.notesPreviewTimeout = setTimeout(() => this.renderNotesPreview(), 200);
+    }
+    
+    handleNotesPreviewClick(e) {
+        const link = e.target.closest('.note-link');
+        if (!link) return;
+        
+        e.preventDefault();
+        if (link.dataset.page) {
+            this.goToPage(parseInt(link.dataset.page));
+        } else if (link.dataset.highlightId) {
+            this.goToHighlight(link.dataset.highlightId);
+        }
+    }
+    
+    goToHighlight(highlightId) {
+        const tab = this.getActiveTab();
+        const highlight = tab && tab.highlights.find(h => h.id === highlightId);
+        if (!highlight) return;
+        
+        // Briefly pulse the highlight once its page is on screen
+        this.flashHighlightId = highlightId;
+        clearTimeout(this.flashHighlightTimeout);
+        this.flashHighlightTimeout = setTimeout(() => {
+            this.flashHighlightId = null;
+            this.renderHighlights();
+        }, 1600);
+        
+        if (highlight.page === this.currentPage) {
+            if (this.viewMode === 'continuous') this.scrollToPage(highlight.page);
+            this.renderHighlights();
+        } else {
+            this.goToPage(highlight.page);
+        }
+    }
+    
+    // Inserts a [[h:...]] link to the highlight at the notes cursor
+    insertHighlightLink(highlight) {
+        this.insertIntoNotes(`[[h:${highlight.id}]]`);
+    }
+    
+    insertIntoNotes(text) {
+        const textarea = document.getElementById('notesTextarea');
+        const tab = this.getActiveTab();
+        if (!textarea || !tab) return;
+        
+        if (this.notesMode === 'preview') this.setNotesMode('split');
+        
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        textarea.focus();
+        textarea.setRangeText(text, start, end, 'end');
+        
+        // Goes through the input handler so the edit is saved and undoable
+        textarea.dispatchEvent(new Event('input'));
+    }
+    
+    // Metadata Methods
+    getTabMetadata(tab) {
+        return window.scratchXivCitations.normalize(tab.metadata, tab.name);
+    }
+    
+    showMetadataModal() {
+        const tab = this.getActiveTab();
+        if (!tab) return;
+        
+        this.fillMetadataForm(this.getTabMetadata(tab));
+        document.getElementById('extractMetadata').disabled = !this.currentPdf;
+        document.getElementById('metadataModal').classList.add('visible');
+        document.getElementById('metadataTitle').focus();
+    }
+    
+    hideMetadataModal() {
+        document.getElementById('metadataModal').classList.remove('visible');
+    }
+    
+    fillMetadataForm(metadata) {
+        document.getElementById('metadataType').value = metadata.type;
+        document.getElementById('metadataTitle').value = metadata.title;
+        document.getElementById('metadataAuthors').value = metadata.authors.join('\n');
+        document.getElementById('metadataVenue').value = metadata.venue;
+        document.getElementById('metadataYear').value = metadata.year || '';
+        document.getElementById('metadataDoi').value = metadata.doi;
+        document.getElementById('metadataArxivId').value = metadata.arxivId;
+        document.getElementById('metadataUrl').value = metadata.url;
+        document.getElementById('metadataAbstract').value = metadata.abstract;
+    }
+    
+    readMetadataForm() {
+        return window.scratchXivCitations.normalize({
+            type: document.getElementById('metadataType').value,
+            title: document.getElementById('metadataTitle').value,
+            authors: document.getElementById('metadataAuthors').value.split('\n'),
+            venue: document.getElementById('metadataVenue').value,
+            year: document.getElementById('metadataYear').value,
+            doi: document.getElementById('metadataDoi').value,
+            arxivId: document.getElementById('metadataArxivId').value,
+            url: document.getElementById('metadataUrl').value,
+            abstract: document.getElementById('metadataAbstract').value,
+            source: 'manual'
+        });
+    }
+    
+    // Fills the empty form fields from the open PDF
+    async extractMetadataIntoForm() {
+        if (!this.currentPdf) return;
+        
+        const citations = window.scratchXivCitations;
+        const extracted = await citations.extractFromPdf(this.currentPdf);
+        this.fillMetadataForm(citations.normalize(citations.merge(this.readMetadataForm(), extracted)));
+    }
+    
+    saveMetadataForm() {
+        const tab = this.getActiveTab();
+        if (!tab) return;
+        
+        const before = tab.metadata || null;
+        const after = this.readMetadataForm();
+        this.setTabMetadata(tab.id, after);
+        this.hideMetadataModal();
+        
+        const tabId = tab.id;
+        this.recordCommand({
+            label: 'Edit paper details',
+            tabId,
+            undo: () => this.setTabMetadata(tabId, before),
+            redo: () => this.setTabMetadata(tabId, after)
+        });
+    }
+    
+    setTabMetadata(tabId, metadata) {
+        const tab = this.tabs.find(t => t.id === tabId);
+        if (!tab) return;
+        
+        tab.metadata = metadata;
+        this.saveToStorage();
+        console.log('Updated paper details for:', tab.name);
+    }
+    
+    // scope is 'tab' for the active paper or 'library' for every paper
+    exportCitations(format, scope) {
+        const citations = window.scratchXivCitations;
+        const tabs = scope === 'tab'
+            ? [this.getActiveTab()].filter(Boolean)
+            : this.tabs.filter(t => t.hasPdf || t.metadata); // empty tabs aren't papers yet
+        
+        if (tabs.length === 0) {
+            alert('There are no papers to export.');
+            return;
+        }
+        
+        // From the dialog, export what is in the form, saved or not
+        const fromForm = scope === 'tab' && document.getElementById('metadataModal').classList.contains('visible');
+        const entries = fromForm ? [this.readMetadataForm()] : tabs.map(t => this.getTabMetadata(t));
+        const content = format === 'ris' ? citations.toRis(entries) : citations.toBibtex(entries);
+        const extension = format === 'ris' ? 'ris' : 'bib';
+        const baseName = scope === 'tab' ? tabs[0].name.replace(/[\\/:*?"<>|]/g, '_') : 'scratchxiv-library';
+        
+        const type = format === 'ris' ? 'application/x-research-info-systems' : 'application/x-bibtex';
+        this.downloadBlob(new Blob([content], { type }), `${baseName}.${extension}`);
+        console.log('Exported', entries.length, format, 'citations');
+    }
+    
+    // Export Methods
+    // Notes with snipped images are exported as a ZIP of the Markdown file and an
+    // images/ folder it refers to; otherwise as a single Markdown file
+    async exportNotes() {
+        const tab = this.getActiveTab();
+        if (!tab) return;
+        
+        const images = [];
+        if (this.storageReady) {
+            for (const id of this.getSnipIds(tab.notes)) {
+                try {
+                    const image = await window.scratchXivStorage.loadImage(id);
+                    if (image && image.blob) images.push(image);
+                } catch (error) {
+                    console.error('Error loading snipped image:', id, error);
+                }
+            }
+        }
+        
+        let notes = window.scratchXivMarkdown.resolveLinks(tab.notes, tab.highlights);
+        images.forEach(image => {
+            notes = notes.split(`(snip:${image.id})`).join(`(images/${image.id}.png)`);
+        });
+        let content = `# ${tab.name}\n\n`;
+        content += `## Notes\n\n${notes || 'No notes.'}\n\n`;
+        content += `## Highlights\n\n`;
+        
+        if (tab.highlights.length === 0) {
+            content += 'No highlights.\n';
+        } else {
+            const sortedHighlights = [...tab.highlights]
+                .filter(h => h.text || h.kind)
+                .sort((a, b) => a.page - b.page);
+            
+            sortedHighlights.forEach(h => {
+                const label = h.text ? `"${h.text}"` : `${this.describeHighlight(h)} (${h.color})`;
+                content += `- **Page ${h.page}**: ${label}\n`;
+                if (h.comment) {
+                    content += `  - Comment: ${h.comment.replace(/\n/g, '\n    ')}\n`;
+                }
+                if (h.tags && h.tags.length > 0) {
+                    content += `  - Tags: ${h.tags.map(t => '#' + t).join(' ')}\n`;
+                }
+            });
+        }
+        
+        if (images.length === 0) {
+            const blob = new Blob([content], { type: 'text/markdown' });
+            this.downloadBlob(blob, `${tab.name}_notes.md`);
+            console.log('Exported notes for:', tab.name);
+            return;
+        }
+        
+        try {
+            const blob = await window.scratchXivZip.createZip([
+                { name: `${tab.name}_notes.md`, data: content },
+                ...images.map(image => ({ name: `images/${image.id}.png`, data: image.blob }))
+            ]);
+            this.downloadBlob(blob, `${tab.name}_notes.zip`);
+            console.log('Exported notes with', images.length, 'images for:', tab.name);
+        } catch (error) {
+            console.error('Error exporting notes:', error);
+            alert('Error exporting notes: ' + error.message);
+        }
+    }
+    
+    // PDF Annotation Methods
+    async exportAnnotatedPdf() {
+        const tab = this.getActiveTab();
+        if (!tab || !this.currentPdf) {
+            alert('Load a PDF first.');
+            return;
+        }
+        
+        try {
+            const bytes = await this.currentPdf.getData();
+            const annotated = await window.scratchXivPdfAnnotations.writeHighlights(bytes, tab.highlights);
+            const blob = new Blob([annotated], { type: 'application/pdf' });
+            this.downloadBlob(blob, `${tab.name}_annotated.pdf`);
+            console.log('Exported annotated PDF for:', tab.name);
+        } catch (error) {
+            console.error('Error exporting annotated PDF:', error);
+            alert('Error exporting annotated PDF: ' + error.message);
+        }
+    }
+    
+    // Adds the PDF's Highlight annotations that aren't in the tab yet
+    async importPdfHighlights(silent = false) {
+        const tab = this.getActiveTab();
+        if (!tab || !this.currentPdf) return;
+        
+        try {
+            const annotations = await window.scratchXivPdfAnnotations.readHighlights(this.currentPdf);
+            const known = new Set(tab.highlights.map(h => h.pdfAnnotationId).filter(Boolean));
+            let imported = 0;
+            
+            annotations.forEach(annotation => {
+                if (known.has(annotation.annotationId)) return;
+                
+                if (annotation.kind) {
+                    const { annotationId, contents, ...shape } = annotation;
+                    tab.highlights.push({
+                        ...shape,
+                        id: Date.now().toString() + Math.random(),
+                        pdfRects: [window.scratchXivPdfAnnotations.getShapeBounds(shape)],
+                        comment: contents,
+                        tags: [],
+                        pdfAnnotationId: annotationId,
+                        createdAt: Date.now()
+                    });
+                    imported++;
+                    return;
+                }
+                
+                const text = annotation.text || annotation.contents || 'Highlight';
+                tab.highlights.push({
+                    id: Date.now().toString() + Math.random(),
+                    text: text,
+                    page: annotation.page,
+                    pdfRects: annotation.pdfRects,
+                    textRange: null,
+                    color: annotation.color,
+                    comment: annotation.contents && annotation.contents !== text ? annotation.contents : '',
+                    tags: [],
+                    pdfAnnotationId: annotation.annotationId,
+                    createdAt: Date.now()
+                });
+                imported++;
+            });
+            
+            if (imported > 0) {
+                this.renderHighlights();
+                this.renderHighlightsList();
+                await this.saveToStorage();
+            }
+            
+            console.log('Imported', imported, 'highlight and drawing annotations from PDF');
+            if (!silent) {
+                alert(imported > 0
+                    ? `Imported ${imported} highlight(s) and drawing(s) from the PDF.`
+                    : 'No new highlight or drawing annotations found in this PDF.');
+            }
+        } catch (error) {
+            console.error('Error importing PDF annotations:', error);
+            if (!silent) alert('Error importing PDF annotations: ' + error.message);
+        }
+    }
+    
+    // Workspace Backup Methods
+    // A workspace archive is a ZIP holding manifest.json (every tab's metadata, notes
+    // and highlights), pdfs/<tabId>.pdf for each stored PDF and images/<id>.png for
+    // each image snipped into notes.
+    async exportWorkspace() {
+        this.saveCurrentTabState();
+        
+        try {
+            const files = [];
+            const pdfs = {};
+            const images = {};
+            
+            if (this.storageReady) {
+                for (const tab of this.tabs.filter(t => t.hasPdf)) {
+                    const pdfData = await window.scratchXivStorage.loadPdf(tab.id);
+                    if (!pdfData || !pdfData.blob) continue;
+                    
+                    const path = `pdfs/${tab.id}.pdf`;
+                    pdfs[tab.id] = { path, fileName: pdfData.fileName, size: pdfData.blob.size };
+                    files.push({ name: path, data: pdfData.blob });
+                }
+                
+                for (const tab of this.tabs) {
+                    for (const image of await window.scratchXivStorage.loadImages(tab.id)) {
+                        const { blob, ...details } = image;
+                        const path = `images/${image.id}.png`;
+                        images[image.id] = { ...details, path };
+                        files.push({ name: path, data: blob });
+                    }
+                }
+            }
+            
+            const manifest = {
+                format: 'scratchxiv-workspace',
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                activeTabId: this.activeTabId,
+                tabs: this.tabs.map(tab => this.serializeTab(tab)),
+                tabGroups: this.tabGroups,
+                pdfs,
+                images
+            };
+            files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+            
+            const blob = await window.scratchXivZip.createZip(files);
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadBlob(blob, `scratchxiv-workspace-${date}.zip`);
+            
+            console.log('Exported workspace with', manifest.tabs.length, 'tabs,', Object.keys(pdfs).length, 'PDFs and',
+                Object.keys(images).length, 'images');
+        } catch (error) {
+            console.error('Error exporting workspace:', error);
+            alert('Error exporting workspace: ' + error.message);
+        }
+    }
+    
+    async importWorkspace(file) {
+        console.log('Importing workspace:', file.name, 'Size:', this.formatBytes(file.size));
+        
+        let entries;
+        let manifest;
+        try {
+            entries = await window.scratchXivZip.readZip(await file.arrayBuffer());
+            const manifestBytes = entries.get('manifest.json');
+            manifest = manifestBytes && JSON.parse(new TextDecoder().decode(manifestBytes));
+            
+            if (!manifest || manifest.format !== 'scratchxiv-workspace' || !Array.isArray(manifest.tabs)) {
+                throw new Error('This file is not a ScratchXiv workspace');
+            }
+            if (manifest.version > 1) {
+                throw new Error('This workspace was exported by a newer version of ScratchXiv');
+            }
+        } catch (error) {
+            console.error('Error reading workspace:', error);
+            alert('Error importing workspace: ' + error.message);
+            return;
+        }
+        
+        const conflicts = manifest.tabs.filter(imported => this.tabs.some(t => t.id === imported.id));
+        let resolutions = new Map();
+        if (conflicts.length > 0) {
+            resolutions = await this.askImportConflicts(conflicts);
+            if (!resolutions) {
+                console.log('Workspace import cancelled');
+                return;
+            }
+        }
+        
+        // Keep the open tab's unsaved notes before anything is replaced
+        this.saveCurrentTabState();
+        
+        const counts = { added: 0, overwritten: 0, duplicated: 0, skipped: 0 };
+        const failed = [];
+        let missingPdfs = 0;
+        let activeTabReplaced = false;
+        const readingStatuses = ['unread', 'reading', 'done'];
+        
+        for (const imported of manifest.tabs) {
+            const action = resolutions.get(imported.id) || 'add';
+            if (action === 'skip') {
+                counts.skipped++;
+                continue;
+            }
+            
+            // Ids and the reading status end up in markup, so take only ones the app could have made
+            const tab = {
+                ...imported,
+                notes: imported.notes || '',
+                highlights: (imported.highlights || []).map(highlight =>
+                    this.isValidId(highlight.id) ? highlight : { ...highlight, id: Date.now().toString() + Math.random() }),
+                groupId: this.isValidId(imported.groupId) ? imported.groupId : null,
+                hasPdf: false
+            };
+            if (imported.reading && !readingStatuses.includes(imported.reading.status)) {
+                tab.reading = { ...imported.reading, status: 'unread' };
+            }
+            if (action === 'add' && !this.isValidId(imported.id)) {
+                tab.id = this.generateTabId();
+            }
+            if (action === 'duplicate') {
+                tab.id = this.generateTabId();
+                tab.name = `${imported.name} (imported)`;
+            }
+            const existing = action === 'overwrite' ? this.tabs.find(t => t.id === imported.id) : null;
+            
+            // The tab only joins the workspace once its PDF and images are stored
+            if (this.storageReady) {
+                try {
+                    await this.importTabData(tab, imported, existing, manifest, entries);
+                } catch (error) {
+                    console.error('Error importing tab:', imported.name, error);
+                    failed.push(imported.name);
+                    continue;
+                }
+            }
+            
+            if (action === 'duplicate') {
+                this.tabs.push(tab);
+                counts.duplicated++;
+            } else if (action === 'overwrite') {
+                this.tabs[this.tabs.indexOf(existing)] = tab;
+                if (tab.id === this.activeTabId) activeTabReplaced = true;
+                counts.overwritten++;
+            } else {
+                // A closed tab with the same id would otherwise share the imported PDF
+                this.closedTabs = this.closedTabs.filter(entry => entry.tab.id !== tab.id);
+                this.tabs.push(tab);
+                counts.added++;
+            }
+            if (imported.hasPdf && !tab.hasPdf) missingPdfs++;
+        }
+        
+        (manifest.tabGroups || []).filter(group => this.isValidId(group.id)).forEach(group => {
+            if (!this.tabGroups.some(g => g.id === group.id)) this.tabGroups.push(group);
+        });
+        this.normalizeTabOrder();
+        
+        // History entries may refer to tabs the import replaced
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        await this.saveToStorage();
+        this.renderTabs();
+        this.renderClosedTabs();
+        if (activeTabReplaced) {
+            await this.reloadActiveTab();
+        }
+        this.updateStorageInfo();
+        this.indexLibrary();
+        
+        console.log('Workspace imported:', counts, 'failed:', failed);
+        let message = `Imported workspace: ${counts.added} added, ${counts.overwritten} overwritten, ` +
+            `${counts.duplicated} duplicated, ${counts.skipped} skipped.`;
+        if (failed.length > 0) {
+            message += `\n${failed.length} tab(s) could not be imported and were left as they were: ${failed.join(', ')}`;
+        }
+        if (missingPdfs > 0) {
+            message += `\n${missingPdfs} PDF(s) could not be restored` + (this.storageReady ? '.' : ' because IndexedDB is unavailable.');
+        }
+        alert(message);
+    }
+    
+    // Stores an imported tab's PDF and snipped images under tab.id. If that fails,
+    // whatever was stored under the id before is put back and the error rethrown.
+    // Without a PDF in the archive, an overwritten tab keeps the PDF stored here.
+    async importTabData(tab, imported, existing, manifest, entries) {
+        const storage = window.scratchXivStorage;
+        const previous = {
+            pdf: await storage.loadPdf(tab.id),
+            images: await storage.loadImages(tab.id)
+        };
+        
+        try {
+            const pdfInfo = manifest.pdfs && manifest.pdfs[imported.id];
+            const pdfBytes = pdfInfo && entries.get(pdfInfo.path);
+            const keepPdf = !pdfBytes && existing && existing.hasPdf && previous.pdf;
+            if (pdfBytes) {
+                const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+                await storage.savePdf(tab.id, blob, pdfInfo.fileName || tab.pdfName || 'paper.pdf');
+                tab.hasPdf = true;
+            } else if (keepPdf) {
+                tab.hasPdf = true;
+                tab.pdfName = existing.pdfName;
+                tab.totalPages = existing.totalPages;
+            }
+            
+            // Snipped images follow their tab; a duplicated tab gets copies under new ids
+            await this.deleteSnipImages(tab.id);
+            const images = Object.values(manifest.images || {}).filter(image => image.tabId === imported.id);
+            for (const { path, ...image } of images) {
+                const bytes = entries.get(path);
+                if (!bytes) continue;
+                
+                if (tab.id !== imported.id) {
+                    const id = this.generateSnipId();
+                    tab.notes = tab.notes.split(`(snip:${image.id})`).join(`(snip:${id})`);
+                    image.id = id;
+                }
+                this.forgetSnipUrl(image.id);
+                await storage.saveImage({ ...image, tabId: tab.id, blob: new Blob([bytes], { type: 'image/png' }) });
+            }
+            
+            // Stale text of a replaced PDF must not survive in the library index
+            if (!keepPdf) await window.scratchXivLibraryIndex.deleteEntry(tab.id);
+        } catch (error) {
+            try {
+                await storage.deletePdf(tab.id);
+                await this.deleteSnipImages(tab.id);
+                if (previous.pdf) {
+                    await storage.savePdf(tab.id, previous.pdf.blob, previous.pdf.fileName, previous.pdf.hash);
+                }
+                for (const image of previous.images) await storage.saveImage(image);
+            } catch (restoreError) {
+                console.error('Error restoring stored data of tab:', tab.id, restoreError);
+            }
+            throw error;
+        }
+    }
+    
+    // Resolves to a Map of tab id -> 'skip' | 'overwrite' | 'duplicate', or null if cancelled
+    askImportConflicts(conflicts) {
+        return new Promise(resolve => {
+            const modal = document.getElementById('importConflictModal');
+            const list = document.getElementById('importConflictList');
+            const applyAll = document.getElementById('importConflictAll');
+            
+            list.innerHTML = '';
+            conflicts.forEach(imported => {
+                const existing = this.tabs.find(t => t.id === imported.id);
+                const row = document.createElement('div');
+                row.className = 'import-conflict-row';
+                row.innerHTML = `
+                    <span class="import-conflict-name" title="Existing: ${this.escapeHtml(existing.name)}">${this.escapeHtml(imported.name)}</span>
+                    <select data-tab-id="${this.escapeHtml(imported.id)}">
+                        <option value="skip">Skip</option>
+                        <option value="overwrite">Overwrite</option>
+                        <option value="duplicate">Keep both</option>
+                    </select>
+                `;
+                list.appendChild(row);
+            });
+            
+            applyAll.value = 'skip';
+            applyAll.onchange = () => {
+                list.querySelectorAll('select').forEach(select => {
+                    select.value = applyAll.value;
+                });
+            };
+            
+            const finish = (result) => {
+                modal.classList.remove('visible');
+                document.getElementById('confirmImport').onclick = null;
+                document.getElementById('cancelImport').onclick = null;
+                resolve(result);
+            };
+            
+            document.getElementById('confirmImport').onclick = () => {
+                const resolutions = new Map();
+                list.querySelectorAll('select').forEach(select => {
+                    resolutions.set(select.dataset.tabId, select.value);
+                });
+                finish(resolutions);
+            };
+            document.getElementById('cancelImport').onclick = () => finish(null);
+            
+            modal.classList.add('visible');
+        });
+    }
+    
+    // Re-reads the active tab's state after it was replaced underneath the viewer
+    async reloadActiveTab() {
+        const tabId = this.activeTabId;
+        this.activeTabId = null;
+        await this.switchToTab(tabId);
+    }
+    
+    generateTabId() {
+        let id = Date.now();
+        const taken = id => this.tabs.some(t => t.id === id) || this.closedTabs.some(entry => entry.tab.id === id);
+        while (taken(id.toString())) id++;
+        return id.toString();
+    }
+    
+    // Tab, group and highlight ids are generated from timestamps, prefixes and Math.random()
+    isValidId(id) {
+        return typeof id === 'string' && /^[\w.-]+$/.test(id);
+    }
+    
+    // Offline Methods
+    // The service worker precaches the app so it starts offline. It needs http(s),
+    // so a copy opened straight from disk just runs without it.
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+        
+        // Scoped to the ScratchXiv files so other pages of the site are not affected
+        navigator.serviceWorker.register('scratchxiv-sw.js', { scope: './scratchxiv' })
+            .then(registration => console.log('Service worker registered for:', registration.scope))
+            .catch(error => console.error('Service worker registration failed:', error));
+    }
+    
+    // PDFs opened with the installed app from the operating system
+    bindLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+        
+        window.launchQueue.setConsumer(async (params) => {
+            if (!params.files || params.files.length === 0) return;
+            
+            const files = await Promise.all(params.files.map(handle => handle.getFile()));
+            console.log('Opening', files.length, 'file(s) from the operating system');
+            await this.importPdfFiles(files);
+        });
+    }
+    
+    // Shares arrive via the service worker, which keeps the PDFs in a cache and
+    // redirects here with ?shared=<count>, or ?open=<text> for a shared link
+    async receiveSharedItems() {
+        const params = new URLSearchParams(location.search);
+        if (!params.has('shared') && !params.has('open')) return;
+        
+        // A reload must not import the same share again
+        history.replaceState(null, '', location.pathname);
+        
+        if (params.has('shared') && 'caches' in window) {
+            try {
+                const cache = await caches.open('scratchxiv-shared');
+                const files = [];
+                for (const request of await cache.keys()) {
+                    const response = await cache.match(request);
+                    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared.pdf');
+                    files.push(new File([await response.blob()], name, { type: 'application/pdf' }));
+                    await cache.delete(request);
+                }
+                console.log('Received', files.length, 'shared PDF(s)');
+                if (files.length > 0) await this.importPdfFiles(files);
+            } catch (error) {
+                console.error('Error opening shared PDFs:', error);
+                alert('Error opening shared PDFs: ' + error.message);
+            }
+        }
+        
+        const text = params.get('open');
+        if (text) {
+            // Shared text often wraps the link in a title or other words
+            const link = text.split(/\s+/).find(word => window.scratchXivProviders.resolve(word));
+            if (link) {
+                this.showOpenByIdModal();
+                document.getElementById('openByIdInput').value = link;
+                await this.openById();
+            } else if (!params.has('shared')) {
+                alert('The shared link is not an arXiv ID, arXiv URL or DOI.');
+            }
+        }
+    }
+    
+    // Sync Methods
+    // Windows share their changes after each save (see sync.js). The view state
+    // of the tab a window is showing stays its own.
+    startSync() {
+        const sync = window.scratchXivSync;
+        if (!sync.isAvailable()) {
+            console.log('BroadcastChannel unavailable, windows are not kept in sync');
+            return;
+        }
+        
+        sync.on('peers', count => this.updateSyncIndicator(count));
+        sync.on('hello', () => this.broadcastChanges(true));
+        sync.on('changes', message => {
+            // Each message merges against the state the previous one left behind
+            this.syncQueue = this.syncQueue
+                .then(() => this.applyRemoteChanges(message))
+                .catch(error => console.error('Error applying changes from another window:', error));
+        });
+        sync.start();
+    }
+    
+    getSyncMeta() {
+        return JSON.stringify({
+            order: this.tabs.map(tab => tab.id),
+            closedTabs: this.closedTabs,
+            tabGroups: this.tabGroups
+        });
+    }
+    
+    resetSyncBase() {
+        this.syncBase = new Map(this.tabs.map(tab => [tab.id, JSON.stringify(this.serializeTab(tab))]));
+        this.syncMeta = this.getSyncMeta();
+    }
+    
+    // Sends the tabs changed since they were last shared, or every tab when a new
+    // window says hello
+    broadcastChanges(full = false) {
+        const sync = window.scratchXivSync;
+        if (!sync.channel) return;
+        
+        const tabs = [];
+        const bases = {};
+        const currentIds = new Set();
+        this.tabs.forEach(tab => {
+            const serialized = this.serializeTab(tab);
+            const json = JSON.stringify(serialized);
+            const baseJson = this.syncBase.get(tab.id);
+            currentIds.add(tab.id);
+            if (full || baseJson !== json) {
+                tabs.push(serialized);
+                if (baseJson) bases[tab.id] = JSON.parse(baseJson);
+                this.syncBase.set(tab.id, json);
+            }
+        });
+        
+        const removed = Array.from(this.syncBase.keys()).filter(id => !currentIds.has(id));
+        removed.forEach(id => {
+            bases[id] = JSON.parse(this.syncBase.get(id));
+            this.syncBase.delete(id);
+        });
+        
+        const meta = this.getSyncMeta();
+        if (!full && tabs.length === 0 && removed.length === 0 && meta === this.syncMeta) return;
+        const baseMeta = JSON.parse(this.syncMeta);
+        this.syncMeta = meta;
+        
+        sync.post('changes', {
+            tabs,
+            bases,
+            baseMeta,
+            removed,
+            full,
+            order: this.tabs.map(tab => tab.id),
+            closedTabs: this.closedTabs,
+            tabGroups: this.tabGroups
+        });
+        console.log('Shared', tabs.length, 'changed and', removed.length, 'removed tabs with other windows');
+    }
+    
+    async applyRemoteChanges(message) {
+        const sync = window.scratchXivSync;
+        const preferLocal = sync.prefersLocal(message.from);
+        const active = this.getActiveTab();
+        const before = active ? { notes: active.notes, pdfName: active.pdfName, hasPdf: active.hasPdf } : null;
+        let notesConflict = false;
+        const changedIds = new Set();
+        
+        // Closed tabs merge by tab id against the lists both windows last shared
+        const baseMeta = message.baseMeta || JSON.parse(this.syncMeta);
+        const closedTabs = sync.mergeById(baseMeta.closedTabs, this.closedTabs, message.closedTabs || [],
+            preferLocal, entry => entry.tab.id);
+        
+        message.tabs.forEach(remote => {
+            const json = JSON.stringify(remote);
+            const local = this.tabs.find(t => t.id === remote.id);
+            
+            // The sender's base is what both windows had before the sender's change,
+            // even when this window sent changes of its own in the meantime
+            const baseJson = this.syncBase.get(remote.id);
+            const base = (message.bases && message.bases[remote.id]) ||
+                (baseJson ? JSON.parse(baseJson) : { notes: '', highlights: [] });
+            
+            if (!local) {
+                // Edited in the other window while it was closed here: the tab comes
+                // back, with whatever was in it when it was closed merged in
+                const closed = closedTabs.find(entry => entry.tab.id === remote.id);
+                let tab = remote;
+                if (closed) {
+                    const { merged, conflict } = this.mergeRemoteTab(base, closed.tab, remote, preferLocal);
+                    if (conflict) notesConflict = true;
+                    tab = merged;
+                }
+                
+                this.tabs.push(tab);
+                this.syncBase.set(remote.id, json);
+                changedIds.add(remote.id);
+                console.log('Tab added in another window:', remote.name);
+                return;
+            }
+            
+            const { merged, conflict } = this.mergeRemoteTab(base, local, remote, preferLocal);
+            if (conflict) notesConflict = true;
+            
+            Object.assign(local, merged);
+            changedIds.add(local.id);
+            
+            // Kept local changes are sent back with the next save. The view state of
+            // the tab shown here counts as shared, or two windows showing the same
+            // tab would keep sending theirs back and forth.
+            const shared = { ...remote };
+            if (local.id === this.activeTabId) {
+                this.tabViewKeys.forEach(key => {
+                    shared[key] = merged[key];
+                });
+            }
+            this.syncBase.set(remote.id, JSON.stringify(this.serializeTab(shared)));
+        });
+        
+        (message.removed || []).forEach(id => {
+            const local = this.tabs.find(t => t.id === id);
+            const baseJson = message.bases && message.bases[id]
+                ? JSON.stringify(message.bases[id])
+                : this.syncBase.get(id);
+            this.syncBase.delete(id);
+            if (!local) return;
+            
+            // A tab changed here since the other window last saw it stays, and is
+            // shared again
+            if (baseJson && JSON.stringify(this.serializeTab(local)) !== baseJson) return;
+            
+            this.tabs = this.tabs.filter(t => t.id !== id);
+            if (this.splitView && this.splitView.tabId === id) this.closeSplitView();
+            console.log('Tab removed in another window:', local.name);
+        });
+        
+        // A tab kept open here is no longer closed, whatever the other window did
+        this.closedTabs = closedTabs
+            .filter(entry => !this.tabs.some(t => t.id === entry.tab.id))
+            .sort((a, b) => b.closedAt - a.closedAt);
+        this.tabGroups = sync.mergeById(baseMeta.tabGroups, this.tabGroups, message.tabGroups || [], preferLocal);
+        
+        // Tab order: the latest change wins
+        const order = new Map((message.order || []).map((id, i) => [id, i]));
+        const position = tab => order.has(tab.id) ? order.get(tab.id) : Infinity;
+        this.tabs.sort((a, b) => position(a) - position(b));
+        this.normalizeTabOrder();
+        
+        // What the sender has now counts as shared; where the merge differs from
+        // it, the next save sends this window's version back
+        this.syncMeta = JSON.stringify({
+            order: message.order || [],
+            closedTabs: message.closedTabs || [],
+            tabGroups: message.tabGroups || []
+        });
+        
+        await this.refreshAfterSync(active, before, changedIds);
+        
+        if (notesConflict) {
+            this.showToast('Notes were also edited in another window; conflicting lines are marked in the notes');
+            console.warn('Concurrent notes edits merged with conflict markers');
+        }
+        await this.saveToStorage();
+    }
+    
+    // Three-way merge of one tab against the version both windows last shared
+    mergeRemoteTab(base, local, remote, preferLocal) {
+        const sync = window.scratchXivSync;
+        const mine = this.serializeTab(local);
+        const merged = {};
+        
+        Object.keys({ ...mine, ...remote }).forEach(key => {
+            merged[key] = sync.mergeValue(base[key], mine[key], remote[key], preferLocal);
+        });
+        merged.highlights = sync.mergeById(base.highlights, mine.highlights, remote.highlights, preferLocal);
+        const notes = sync.mergeText(base.notes, mine.notes, remote.notes, preferLocal);
+        merged.notes = notes.text;
+        
+        // Where this window is in the paper it shows is not the other window's business
+        if (local.id === this.activeTabId) {
+            this.tabViewKeys.forEach(key => {
+                merged[key] = mine[key];
+            });
+        }
+        
+        return { merged, conflict: notes.conflict };
+    }
+    
+    async refreshAfterSync(active, before, changedIds) {
+        this.renderTabs();
+        this.renderClosedTabs();
+        
+        if (!active || !this.tabs.includes(active)) {
+            // The tab shown here was closed in another window
+            if (this.tabs.length === 0) {
+                this.createNewTab();
+            } else {
+                this.activeTabId = null;
+                await this.switchToTab(this.tabs[0].id);
+            }
+            return;
+        }
+        
+        if (changedIds.has(active.id)) {
+            if (active.notes !== before.notes) {
+                this.commitNotesEdit();
+                const textarea = document.getElementById('notesTextarea');
+                const { selectionStart, selectionEnd } = textarea;
+                textarea.value = active.notes || '';
+                textarea.setSelectionRange(selectionStart, selectionEnd);
+                this.renderNotesPreview();
+            }
+            
+            if (active.hasPdf !== before.hasPdf || active.pdfName !== before.pdfName) {
+                await this.loadPdfFromIndexedDB(active.id);
+            } else {
+                this.renderHighlights();
+            }
+            this.renderHighlightsList();
+        }
+        
+        if (this.splitView && changedIds.has(this.splitView.tabId)) this.renderSplitHighlights();
+    }
+    
+    updateSyncIndicator(count) {
+        const indicator = document.getElementById('syncIndicator');
+        if (!indicator) return;
+        
+        indicator.classList.toggle('visible', count > 0);
+        indicator.textContent = `${count + 1} windows`;
+        indicator.title = count === 1
+            ? 'ScratchXiv is open in another window. Changes are kept in sync.'
+            : `ScratchXiv is open in ${count} other windows. Changes are kept in sync.`;
+        console.log('Other ScratchXiv windows:', count);
+    }
+    
+    // Command Methods
+    // Registers every action for the command palette and keyboard shortcuts
+    registerCommands() {
+        const commands = window.scratchXivCommands;
+        const hasPdf = () => !!this.currentPdf;
+        const add = (category, id, title, run, options = {}) => {
+            commands.register({ id, title, category, run, ...options });
+        };
+        
+        add('General', 'palette.show', 'Command Palette', () => this.showCommandPalette(), { keys: ['Mod+K'], global: true });
+        add('General', 'shortcuts.show', 'Keyboard Shortcuts…', () => this.showShortcutsModal());
+        add('General', 'edit.undo', 'Undo', () => this.undo(), { keys: ['Mod+Z'] });
+        add('General', 'edit.redo', 'Redo', () => this.redo(), { keys: ['Mod+Y', 'Mod+Shift+Z'] });
+        add('General', 'theme.toggle', 'Toggle Dark Theme', () => this.toggleTheme());
+        add('General', 'library.search', 'Search Library', () => this.showLibrarySearch(), { keys: ['Mod+Shift+F'], global: true });
+        add('General', 'collection.show', 'All Papers', () => this.showCollection());
+        add('General', 'reading.show', 'Reading Progress', () => this.showReadingStats());
+        add('General', 'storage.show', 'Storage & Backup', () => this.showStorageModal());
+        
+        add('Tabs', 'tab.new', 'New Tab', () => this.createNewTab());
+        add('Tabs', 'tab.close', 'Close Tab', () => this.closeTab(this.activeTabId), { enabled: () => !!this.activeTabId });
+        add('Tabs', 'tab.reopen', 'Reopen Closed Tab', () => this.restoreClosedTab(this.closedTabs[0].tab.id), {
+            enabled: () => this.closedTabs.length > 0
+        });
+        add('Tabs', 'tab.next', 'Next Tab', () => this.switchTabBy(1), { enabled: () => this.tabs.length > 1 });
+        add('Tabs', 'tab.prev', 'Previous Tab', () => this.switchTabBy(-1), { enabled: () => this.tabs.length > 1 });
+        add('Tabs', 'tab.rename', 'Rename Tab…', () => this.showRenameModal(this.activeTabId), { enabled: () => !!this.activeTabId });
+        
+        add('Paper', 'paper.open', 'Open PDF…', () => document.getElementById('pdfInput').click());
+        add('Paper', 'paper.openById', 'Open arXiv ID or DOI…', () => this.showOpenByIdModal());
+        add('Paper', 'paper.details', 'Paper Details…', () => this.showMetadataModal(), { enabled: () => !!this.activeTabId });
+        
+        add('Navigation', 'page.next', 'Next Page', () => this.nextPage(), { keys: ['ArrowRight', 'PageDown'], enabled: hasPdf });
+        add('Navigation', 'page.prev', 'Previous Page', () => this.prevPage(), { keys: ['ArrowLeft', 'PageUp'], enabled: hasPdf });
+        add('Navigation', 'page.first', 'First Page', () => this.goToPage(1), { enabled: hasPdf });
+        add('Navigation', 'page.last', 'Last Page', () => this.goToPage(this.totalPages), { enabled: hasPdf });
+        add('Navigation', 'page.goto', 'Go to Page…', () => {
+            const input = document.getElementById('currentPageInput');
+            input.focus();
+            input.select();
+        }, { enabled: hasPdf });
+        add('Navigation', 'history.back', 'Back', () => this.goBack(), { keys: ['Alt+ArrowLeft'] });
+        add('Navigation', 'history.forward', 'Forward', () => this.goForward(), { keys: ['Alt+ArrowRight'] });
+        add('Navigation', 'search.find', 'Search in Document', () => this.toggleSearchBar(true), {
+            keys: ['Mod+F'], global: true, enabled: hasPdf
+        });
+        add('Navigation', 'search.next', 'Next Search Result', () => this.nextSearchHit(), { keys: ['F3', 'Mod+G'], global: true });
+        add('Navigation', 'search.prev', 'Previous Search Result', () => this.prevSearchHit(), { keys: ['Shift+F3', 'Mod+Shift+G'], global: true });
+        
+        add('View', 'zoom.in', 'Zoom In', () => this.zoomIn(), { keys: ['+', '='] });
+        add('View', 'zoom.out', 'Zoom Out', () => this.zoomOut(), { keys: ['-'] });
+        add('View', 'zoom.actual', 'Actual Size', () => this.setZoom(1), { keys: ['Mod+0'] });
+        add('View', 'zoom.fitWidth', 'Fit Width', () => this.setZoomMode('fit-width'), { enabled: hasPdf });
+        add('View', 'zoom.fitPage', 'Fit Page', () => this.setZoomMode('fit-page'), { enabled: hasPdf });
+        add('View', 'zoom.custom', 'Zoom to…', () => {
+            const input = document.getElementById('zoomLevel');
+            input.focus();
+            input.select();
+        });
+        add('View', 'rotate.cw', 'Rotate Clockwise', () => this.rotatePages(90), { keys: ['R'], enabled: hasPdf });
+        add('View', 'rotate.ccw', 'Rotate Counterclockwise', () => this.rotatePages(-90), { keys: ['Shift+R'], enabled: hasPdf });
+        [['normal', 'Normal'], ['dark', 'Dark'], ['sepia', 'Sepia']].forEach(([mode, label]) => {
+            add('View', `pageColors.${mode}`, `Page Colors: ${label}`, () => this.setPageColors(mode));
+        });
+        add('View', 'view.continuous', 'Toggle Continuous Scrolling', () => this.toggleViewMode(), { enabled: hasPdf });
+        add('View', 'view.sidebar', 'Toggle Outline & Pages', () => this.toggleSidebar());
+        const hasSplit = () => !!this.splitView;
+        add('View', 'split.toggle', 'Toggle Split View', () => this.toggleSplitView(), { keys: ['Mod+\\'] });
+        add('View', 'split.swap', 'Swap Split Panes', () => this.swapSplitPanes(), { enabled: hasSplit });
+        add('View', 'split.nextPage', 'Split Pane: Next Page', () => this.goToSplitPage(this.splitView.pageNum + 1), {
+            keys: ['Shift+ArrowRight'], enabled: hasSplit
+        });
+        add('View', 'split.prevPage', 'Split Pane: Previous Page', () => this.goToSplitPage(this.splitView.pageNum - 1), {
+            keys: ['Shift+ArrowLeft'], enabled: hasSplit
+        });
+        ['edit', 'split', 'preview'].forEach(mode => {
+            const label = mode.charAt(0).toUpperCase() + mode.slice(1);
+            add('View', `notes.${mode}`, `Notes: ${label}`, () => this.setNotesMode(mode));
+        });
+        
+        add('Annotate', 'highlight.toggle', 'Toggle Highlight Mode', () => {
+            if (this.highlightMode) {
+                this.exitHighlightMode();
+            } else {
+                this.setHighlightColor(this.selectedHighlightColor);
+            }
+        }, { keys: ['H'] });
+        this.getHighlightColors().forEach(({ color, name }) => {
+            add('Annotate', `highlight.color.${name.toLowerCase()}`, `Highlight Color: ${name}`, () => this.setHighlightColor(color));
+        });
+        document.querySelectorAll('.draw-tool-btn').forEach(btn => {
+            add('Annotate', `draw.${btn.dataset.tool}`, btn.title, () => this.setDrawTool(btn.dataset.tool), { enabled: hasPdf });
+        });
+        add('Annotate', 'annotations.import', 'Import PDF Annotations', () => this.importPdfHighlights(), { enabled: hasPdf });
+        
+        add('Export', 'export.notes', 'Export Notes', () => this.exportNotes(), { enabled: () => !!this.activeTabId });
+        add('Export', 'export.annotatedPdf', 'Export Annotated PDF', () => this.exportAnnotatedPdf(), { enabled: hasPdf });
+        add('Export', 'export.workspace', 'Export Workspace', () => this.exportWorkspace());
+        add('Export', 'export.bibtex', 'Export BibTeX (This Paper)', () => this.exportCitations('bibtex', 'tab'));
+        add('Export', 'export.ris', 'Export RIS (This Paper)', () => this.exportCitations('ris', 'tab'));
+        add('Export', 'export.libraryBibtex', 'Export BibTeX (Library)', () => this.exportCitations('bibtex', 'library'));
+        add('Export', 'export.libraryRis', 'Export RIS (Library)', () => this.exportCitations('ris', 'library'));
+    }
+    
+    // Buttons with data-command show their command's current shortcut in the tooltip
+    updateShortcutHints() {
+        const commands = window.scratchXivCommands;
+        document.querySelectorAll('[data-command]').forEach(el => {
+            const command = commands.get(el.dataset.command);
+            if (!command) return;
+            
+            const shortcut = commands.getBindings(command.id)[0];
+            el.title = shortcut ? `${command.title} (${commands.format(shortcut)})` : command.title;
+        });
+    }
+    
+    showCommandPalette() {
+        const modal = document.getElementById('commandPaletteModal');
+        const input = document.getElementById('commandPaletteInput');
+        
+        input.value = '';
+        modal.classList.add('visible');
+        input.focus();
+        this.renderCommandPalette();
+    }
+    
+    hideCommandPalette() {
+        document.getElementById('commandPaletteModal').classList.remove('visible');
+    }
+    
+    // Enabled commands, a "Go to page" item when the query is a page number and
+    // one item per other open tab
+    getPaletteItems(query) {
+        const commands = window.scratchXivCommands;
+        const items = [];
+        
+        const page = /^\s*(?:p(?:age)?\.?\s*)?(\d+)\s*$/i.exec(query);
+        if (page && this.currentPdf) {
+            const pageNum = Math.min(Math.max(1, parseInt(page[1])), this.totalPages);
+            items.push({ title: `Go to page ${pageNum}`, category: 'Navigation', shortcut: '', score: Infinity, run: () => this.goToPage(pageNum) });
+        }
+        
+        commands.list().forEach(command => {
+            if (!command.enabled()) return;
+            
+            let score = commands.score(query, command.title);
+            if (score === null) score = commands.score(query, `${command.category} ${command.title}`);
+            if (score === null) return;
+            
+            const shortcut = commands.getBindings(command.id)[0];
+            items.push({
+                title: command.title,
+                category: command.category,
+                shortcut: shortcut ? commands.format(shortcut) : '',
+                score,
+                run: () => commands.run(command.id)
+            });
+        });
+        
+        this.tabs.filter(tab => tab.id !== this.activeTabId).forEach(tab => {
+            let score = commands.score(query, tab.name);
+            if (score === null) score = commands.score(query, `tab ${tab.name}`);
+            if (score === null) return;
+            items.push({ title: tab.name, category: 'Switch to Tab', shortcut: '', score, run: () => this.switchToTab(tab.id) });
+        });
+        
+        this.tabs.filter(tab => tab.hasPdf).forEach(tab => {
+            const score = commands.score(query, `split ${tab.name}`);
+            if (score === null) return;
+            items.push({ title: tab.name, category: 'Open in Split View', shortcut: '', score, run: () => this.openSplitView(tab.id) });
+        });
+        
+        // sort() is stable, so equal scores keep the registration order
+        return query.trim() ? items.sort((a, b) => b.score - a.score) : items;
+    }
+    
+    renderCommandPalette() {
+        const query = document.getElementById('commandPaletteInput').value;
+        const list = document.getElementById('commandPaletteList');
+        
+        this.paletteItems = this.getPaletteItems(query).slice(0, 50);
+        list.innerHTML = '';
+        
+        if (this.paletteItems.length === 0) {
+            list.innerHTML = '<p class="empty-state">No matching commands.</p>';
+            return;
+        }
+        
+        this.paletteItems.forEach((item, index) => {
+            const el = document.createElement('div');
+            el.className = 'palette-item';
+            el.innerHTML = `
+                <span class="palette-category">${this.escapeHtml(item.category)}</span>
+                <span class="palette-title">${this.escapeHtml(item.title)}</span>
+                ${item.shortcut ? `<kbd>${this.escapeHtml(item.shortcut)}</kbd>` : ''}
+            `;
+            el.addEventListener('click', () => this.runPaletteItem(index));
+            el.addEventListener('mousemove', () => {
+                if (this.paletteIndex !== index) this.selectPaletteItem(index);
+            });
+            list.appendChild(el);
+        });
+        this.selectPaletteItem(0);
+    }
+    
+    selectPaletteItem(index) {
+        const count = this.paletteItems.length;
+        if (count === 0) return;
+        
+        this.paletteIndex = (index + count) % count;
+        document.querySelectorAll('#commandPaletteList .palette-item').forEach((el, i) => {
+            el.classList.toggle('selected', i === this.paletteIndex);
+            if (i === this.paletteIndex) el.scrollIntoView({ block: 'nearest' });
+        });
+    }
+    
+    runPaletteItem(index) {
+        const item = this.paletteItems[index];
+        if (!item) return;
+        
+        this.hideCommandPalette();
+        item.run();
+    }
+    
+    showShortcutsModal() {
+        this.renderShortcuts();
+        document.getElementById('shortcutsModal').classList.add('visible');
+    }
+    
+    hideShortcutsModal() {
+        this.capturingShortcutFor = null;
+        document.getElementById('shortcutsModal').classList.remove('visible');
+    }
+    
+    renderShortcuts() {
+        const commands = window.scratchXivCommands;
+        const conflicts = commands.findConflicts();
+        const list = document.getElementById('shortcutsList');
+        list.innerHTML = '';
         
-        try {
-            const range = selection.getRangeAt(0);
-            const clientRects = range.getClientRects();
-            
-            if (clientRects.length === 0) {
-                console.log('No rects found for selection');
-                return;
+        let category = null;
+        commands.list().forEach(command => {
+            if (command.category !== category) {
+                category = command.category;
+                const heading = document.createElement('h4');
+                heading.className = 'shortcuts-category';
+                heading.textContent = category;
+                list.appendChild(heading);
             }
             
-            const container = document.getElementById('pdfCanvasContainer');
-            const containerRect = container.getBoundingClientRect();
-            
-            console.log('Container position:', {
-                left: containerRect.left,
-                top: containerRect.top
-            });
-            
-            // Collect all rectangles for this selection
-            const highlightRects = [];
+            const keys = commands.getBindings(command.id).map(shortcut => {
+                const others = (conflicts.get(shortcut) || []).filter(id => id !== command.id).map(id => commands.get(id).title);
+                const title = others.length > 0 ? `Also bound to ${others.join(', ')}` : '';
+                return `
+                    <span class="shortcut-key ${others.length > 0 ? 'conflict' : ''}" title="${this.escapeHtml(title)}">
+                        <kbd>${this.escapeHtml(commands.format(shortcut))}</kbd>
+                        <button class="remove-shortcut" data-shortcut="${this.escapeHtml(shortcut)}" title="Remove shortcut">×</button>
+                    </span>
+                `;
+            }).join('');
+            const capturing = this.capturingShortcutFor === command.id;
             
-            for (let i = 0; i < clientRects.length; i++) {
-                const rect = clientRects[i];
-                
-                // Calculate position relative to the PDF container (not the viewport or scroll)
-                const highlightRect = {
-                    left: rect.left - containerRect.left,
-                    top: rect.top - containerRect.top,
-                    width: rect.width,
-                    height: rect.height
-                };
-                
-                // Filter out tiny/invalid rectangles
-                if (highlightRect.width > 1 && highlightRect.height > 1) {
-                    highlightRects.push(highlightRect);
-                    console.log('Rect', i, ':', highlightRect);
-                }
-            }
+            const row = document.createElement('div');
+            row.className = 'shortcut-row' + (capturing ? ' capturing' : '');
+            row.innerHTML = `
+                <span class="shortcut-title">
+                    ${this.escapeHtml(command.title)}
+                    ${command.global ? '<span class="shortcut-global" title="Also works while typing in a text field">global</span>' : ''}
+                </span>
+                <span class="shortcut-keys">
+                    ${keys}
+                    <button class="btn btn-secondary add-shortcut">${capturing ? 'Press keys…' : 'Add'}</button>
+                    ${commands.isCustomized(command.id) ? '<button class="btn btn-secondary reset-shortcut" title="Restore the default shortcuts">Reset</button>' : ''}
+                </span>
+            `;
             
-            if (highlightRects.length > 0) {
-                // Create a single highlight with all rectangles
-                this.addHighlight(text, highlightRects, this.selectedHighlightColor);
-                console.log('Created highlight with', highlightRects.length, 'rectangles');
-            } else {
-                console.log('No valid rectangles found');
+            row.querySelectorAll('.remove-shortcut').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    commands.unassign(command.id, btn.dataset.shortcut);
+                    this.updateShortcutHints();
+                    this.renderShortcuts();
+                });
+            });
+            row.querySelector('.add-shortcut').addEventListener('click', () => {
+                this.capturingShortcutFor = capturing ? null : command.id;
+                this.renderShortcuts();
+            });
+            const resetBtn = row.querySelector('.reset-shortcut');
+            if (resetBtn) {
+                resetBtn.addEventListener('click', () => {
+                    commands.reset(command.id);
+                    this.updateShortcutHints();
+                    this.renderShortcuts();
+                });
             }
-            
-            selection.removeAllRanges();
-            console.log('Highlight added successfully');
-        } catch (error) {
-            console.error('Error handling text selection:', error);
-        }
+            list.appendChild(row);
+        });
+        
+        document.getElementById('shortcutsStatus').textContent = conflicts.size > 0
+            ? `${conflicts.size} shortcut(s) are bound to more than one command; only the first enabled one runs.`
+            : '';
     }
     
-    // Export Methods
-    exportNotes() {
-        const tab = this.getActiveTab();
-        if (!tab) return;
+    // While a command waits for a new shortcut, the next key press is taken as it.
+    // Returns whether the key was used.
+    captureShortcut(e) {
+        const id = this.capturingShortcutFor;
+        if (!id) return false;
         
-        let content = `# ${tab.name}\n\n`;
-        content += `## Notes\n\n${tab.notes || 'No notes.'}\n\n`;
-        content += `## Highlights\n\n`;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            this.capturingShortcutFor = null;
+            this.renderShortcuts();
+            return true;
+        }
         
-        if (tab.highlights.length === 0) {
-            content += 'No highlights.\n';
-        } else {
-            const sortedHighlights = [...tab.highlights]
-                .filter(h => h.text)
-                .sort((a, b) => a.page - b.page);
-            
-            sortedHighlights.forEach(h => {
-                content += `- **Page ${h.page}**: "${h.text}"\n`;
-            });
+        const commands = window.scratchXivCommands;
+        const shortcut = commands.fromEvent(e);
+        if (!shortcut) return true; // a modifier on its own; wait for the key
+        
+        this.capturingShortcutFor = null;
+        const others = commands.getCommandsFor(shortcut).filter(command => command.id !== id);
+        if (others.length > 0) {
+            const names = others.map(command => `“${command.title}”`).join(', ');
+            if (!confirm(`${commands.format(shortcut)} is already used by ${names}. Use it for “${commands.get(id).title}” instead?`)) {
+                this.renderShortcuts();
+                return true;
+            }
         }
         
-        const blob = new Blob([content], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${tab.name}_notes.md`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        commands.assign(id, shortcut);
+        console.log('Bound', shortcut, 'to', id);
+        this.updateShortcutHints();
+        this.renderShortcuts();
+        return true;
+    }
+    
+    resetAllShortcuts() {
+        if (!confirm('Restore the default keyboard shortcuts for every command?')) return;
         
-        console.log('Exported notes for:', tab.name);
+        window.scratchXivCommands.reset();
+        this.updateShortcutHints();
+        this.renderShortcuts();
     }
     
     // Modal Methods
@@ -792,14 +6172,35 @@ class ScratchXivApp {
         const modal = document.getElementById('renameModal');
         const input = document.getElementById('renameInput');
         
+        document.getElementById('renameTitle').textContent = 'Rename Tab';
+        document.getElementById('confirmRename').textContent = 'Rename';
         input.value = tab.name;
         modal.classList.add('visible');
+        modal.dataset.target = 'tab';
         modal.dataset.tabId = tabId;
         
         input.focus();
         input.select();
     }
     
+    // Names a new group for tabId when groupId is null, otherwise renames the group
+    showGroupNameModal(groupId, tabId = null) {
+        const group = groupId && this.tabGroups.find(g => g.id === groupId);
+        const modal = document.getElementById('renameModal');
+        const input = document.getElementById('renameInput');
+        
+        document.getElementById('renameTitle').textContent = group ? 'Rename Group' : 'New Group';
+        document.getElementById('confirmRename').textContent = group ? 'Rename' : 'Create';
+        input.value = group ? group.name : '';
+        modal.classList.add('visible');
+        modal.dataset.target = 'group';
+        modal.dataset.groupId = group ? group.id : '';
+        modal.dataset.tabId = tabId || '';
+        
+        input.focus();
+        input.select();
+    }
+    
     hideRenameModal() {
         const modal = document.getElementById('renameModal');
         modal.classList.remove('visible');
@@ -809,19 +6210,73 @@ class ScratchXivApp {
         const modal = document.getElementById('renameModal');
         const input = document.getElementById('renameInput');
         const tabId = modal.dataset.tabId;
+        const name = input.value.trim();
         
-        if (input.value.trim()) {
-            this.renameTab(tabId, input.value.trim());
+        if (name && modal.dataset.target === 'group') {
+            if (modal.dataset.groupId) {
+                this.renameTabGroup(modal.dataset.groupId, name);
+            } else {
+                this.createTabGroup(tabId, name);
+            }
+        } else if (name) {
+            this.renameTab(tabId, name);
         }
         
         this.hideRenameModal();
     }
     
+    showOpenByIdModal() {
+        const modal = document.getElementById('openByIdModal');
+        const input = document.getElementById('openByIdInput');
+        
+        this.setOpenByIdStatus('');
+        modal.classList.add('visible');
+        input.focus();
+        input.select();
+    }
+    
+    hideOpenByIdModal() {
+        document.getElementById('openByIdModal').classList.remove('visible');
+    }
+    
     // Utility Methods
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // textContent leaves quotes alone, and the result also goes into attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    formatDuration(seconds) {
+        if (seconds < 60) return seconds > 0 ? '<1 min' : '0 min';
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+    }
+    
+    // Local calendar day, so reading after midnight counts for the new day
+    getDayKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    formatRelativeTime(timestamp) {
+        const seconds = Math.round((Date.now() - timestamp) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+        if (seconds < 7 * 86400) return `${Math.floor(seconds / 86400)} d ago`;
+        return new Date(timestamp).toLocaleDateString();
     }
     
     formatBytes(bytes) {
@@ -857,13 +6312,17 @@ class ScratchXivApp {
         if (pdfInput) {
             pdfInput.addEventListener('change', async (e) => {
                 console.log('File input changed');
-                if (e.target.files && e.target.files[0]) {
-                    await this.loadPdf(e.target.files[0]);
+                if (e.target.files && e.target.files.length > 0) {
+                    const files = Array.from(e.target.files);
                     e.target.value = ''; // Reset input
+                    await this.importPdfFiles(files);
                 }
             });
         }
         
+        // Drag and drop
+        this.bindFileDrop();
+        
         // Navigation
         const prevBtn = document.getElementById('prevPage');
         const nextBtn = document.getElementById('nextPage');
@@ -883,34 +6342,69 @@ class ScratchXivApp {
         if (zoomInBtn) zoomInBtn.addEventListener('click', () => this.zoomIn());
         if (zoomOutBtn) zoomOutBtn.addEventListener('click', () => this.zoomOut());
         
+        const zoomLevel = document.getElementById('zoomLevel');
+        zoomLevel.addEventListener('focus', () => zoomLevel.select());
+        zoomLevel.addEventListener('change', () => this.applyZoomInput());
+        zoomLevel.addEventListener('blur', () => this.updateZoomUI());
+        zoomLevel.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.applyZoomInput();
+            } else if (e.key === 'Escape') {
+                zoomLevel.blur();
+            }
+        });
+        
+        const fitWidthBtn = document.getElementById('fitWidth');
+        const fitPageBtn = document.getElementById('fitPage');
+        const rotateBtn = document.getElementById('rotatePages');
+        const pageColorsBtn = document.getElementById('pageColors');
+        if (fitWidthBtn) fitWidthBtn.addEventListener('click', () => this.setZoomMode(this.zoomMode === 'fit-width' ? 'custom' : 'fit-width'));
+        if (fitPageBtn) fitPageBtn.addEventListener('click', () => this.setZoomMode(this.zoomMode === 'fit-page' ? 'custom' : 'fit-page'));
+        if (rotateBtn) rotateBtn.addEventListener('click', () => this.rotatePages(90));
+        if (pageColorsBtn) pageColorsBtn.addEventListener('click', () => this.cyclePageColors());
+        this.applyPageColors();
+        
+        const viewer = document.getElementById('pdfViewer');
+        viewer.addEventListener('wheel', (e) => this.handleViewerWheel(e), { passive: false });
+        this.bindPinchZoom(viewer);
+        
+        let resizeTimeout;
+        new ResizeObserver(() => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => this.handleViewerResize(), 150);
+        }).observe(viewer);
+        
         // Highlight colors
         document.querySelectorAll('.highlight-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                document.querySelectorAll('.highlight-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.selectedHighlightColor = btn.dataset.color;
-                this.highlightMode = true;
-                
-                // Add visual feedback
-                const container = document.getElementById('pdfCanvasContainer');
-                if (container) container.classList.add('highlight-mode');
-                
-                console.log('Highlight color selected:', this.selectedHighlightColor);
-            });
+            btn.addEventListener('click', () => this.setHighlightColor(btn.dataset.color));
         });
         
         const clearHighlightBtn = document.getElementById('clearHighlightMode');
-        if (clearHighlightBtn) {
-            clearHighlightBtn.addEventListener('click', () => {
-                document.querySelectorAll('.highlight-btn').forEach(b => b.classList.remove('active'));
-                this.highlightMode = false;
-                
-                // Remove visual feedback
-                const container = document.getElementById('pdfCanvasContainer');
-                if (container) container.classList.remove('highlight-mode');
-                
-                console.log('Highlight mode disabled');
-            });
+        if (clearHighlightBtn) clearHighlightBtn.addEventListener('click', () => this.exitHighlightMode());
+        
+        // Drawing
+        document.querySelectorAll('.draw-tool-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setDrawTool(btn.dataset.tool));
+        });
+        
+        const drawColor = document.getElementById('drawColor');
+        if (drawColor) {
+            drawColor.value = this.drawSettings.color;
+            drawColor.addEventListener('input', () => this.setDrawSettings({ color: drawColor.value }));
+        }
+        const drawWidth = document.getElementById('drawWidth');
+        if (drawWidth) {
+            drawWidth.value = String(this.drawSettings.width);
+            drawWidth.addEventListener('change', () => this.setDrawSettings({ width: parseFloat(drawWidth.value) }));
+        }
+        
+        const drawSurface = document.getElementById('pdfViewer');
+        if (drawSurface) {
+            drawSurface.addEventListener('pointerdown', (e) => this.startDrawing(e));
+            drawSurface.addEventListener('pointermove', (e) => this.continueDrawing(e));
+            drawSurface.addEventListener('pointerup', () => this.finishDrawing());
+            drawSurface.addEventListener('pointercancel', () => this.cancelDrawing());
         }
         
         // Text selection for highlighting
@@ -921,6 +6415,57 @@ class ScratchXivApp {
             });
         }
         
+        // Continuous mode pages are created dynamically, so delegate from their container
+        const pdfPages = document.getElementById('pdfPages');
+        if (pdfPages) {
+            pdfPages.addEventListener('mouseup', (e) => {
+                if (e.target.closest('.text-layer')) {
+                    setTimeout(() => this.handleTextSelection(), 10);
+                }
+            });
+        }
+        
+        // Track the page in view while scrolling in continuous mode
+        const pdfViewer = document.getElementById('pdfViewer');
+        if (pdfViewer) {
+            pdfViewer.addEventListener('scroll', () => this.handleViewerScroll(), { passive: true });
+        }
+        
+        // Link history
+        const navBackBtn = document.getElementById('navBack');
+        const navForwardBtn = document.getElementById('navForward');
+        if (navBackBtn) navBackBtn.addEventListener('click', () => this.goBack());
+        if (navForwardBtn) navForwardBtn.addEventListener('click', () => this.goForward());
+        this.updateNavHistoryUI();
+        document.getElementById('pdfViewer').addEventListener('scroll', () => this.hideLinkPreview(), { passive: true });
+        
+        // Sidebar
+        const toggleSidebarBtn = document.getElementById('toggleSidebar');
+        if (toggleSidebarBtn) toggleSidebarBtn.addEventListener('click', () => this.toggleSidebar());
+        document.querySelectorAll('.sidebar-tab').forEach(btn => {
+            btn.addEventListener('click', () => this.showSidebarPanel(btn.dataset.panel));
+        });
+        this.updateSidebarUI();
+        
+        // View mode
+        const viewModeBtn = document.getElementById('toggleViewMode');
+        if (viewModeBtn) viewModeBtn.addEventListener('click', () => this.toggleViewMode());
+        
+        // Split view
+        document.getElementById('toggleSplitView').addEventListener('click', () => this.toggleSplitView());
+        document.getElementById('closeSplit').addEventListener('click', () => this.closeSplitView());
+        document.getElementById('swapSplit').addEventListener('click', () => this.swapSplitPanes());
+        document.getElementById('splitTabSelect').addEventListener('change', (e) => this.setSplitTab(e.target.value));
+        document.getElementById('splitPrevPage').addEventListener('click', () => this.goToSplitPage(this.splitView.pageNum - 1));
+        document.getElementById('splitNextPage').addEventListener('click', () => this.goToSplitPage(this.splitView.pageNum + 1));
+        document.getElementById('splitZoomOut').addEventListener('click', () => this.setSplitZoom(this.splitView.scale - 0.25));
+        document.getElementById('splitZoomIn').addEventListener('click', () => this.setSplitZoom(this.splitView.scale + 0.25));
+        const splitPageInput = document.getElementById('splitPageInput');
+        splitPageInput.addEventListener('change', () => this.goToSplitPage(parseInt(splitPageInput.value) || 1));
+        document.getElementById('splitTextLayer').addEventListener('mouseup', () => {
+            setTimeout(() => this.handleTextSelection(), 10);
+        });
+        
         // Notes auto-save
         let notesTimeout;
         const notesTextarea = document.getElementById('notesTextarea');
@@ -928,8 +6473,11 @@ class ScratchXivApp {
             notesTextarea.addEventListener('input', () => {
                 const tab = this.getActiveTab();
                 if (tab) {
+                    this.trackNotesEdit(tab, tab.notes || '');
+                    
                     // Immediately update the tab's notes
                     tab.notes = notesTextarea.value;
+                    this.scheduleNotesPreview();
                     console.log('Notes updated for tab:', tab.name);
                     
                     // Debounce the storage save
@@ -942,6 +6490,14 @@ class ScratchXivApp {
             });
         }
         
+        // Notes edit/preview mode
+        document.querySelectorAll('.notes-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setNotesMode(btn.dataset.mode));
+        });
+        const notesPreview = document.getElementById('notesPreview');
+        if (notesPreview) notesPreview.addEventListener('click', (e) => this.handleNotesPreviewClick(e));
+        this.updateNotesModeUI();
+        
         // Toggle notes panel
         const toggleNotesBtn = document.getElementById('toggleNotesPanel');
         if (toggleNotesBtn) {
@@ -958,6 +6514,41 @@ class ScratchXivApp {
             exportBtn.addEventListener('click', () => this.exportNotes());
         }
         
+        // Paper details modal
+        const paperInfoBtn = document.getElementById('paperInfoBtn');
+        if (paperInfoBtn) paperInfoBtn.addEventListener('click', () => this.showMetadataModal());
+        const metadataActions = {
+            cancelMetadata: () => this.hideMetadataModal(),
+            saveMetadata: () => this.saveMetadataForm(),
+            extractMetadata: () => this.extractMetadataIntoForm(),
+            exportTabBibtex: () => this.exportCitations('bibtex', 'tab'),
+            exportTabRis: () => this.exportCitations('ris', 'tab'),
+            exportLibraryBibtex: () => this.exportCitations('bibtex', 'library'),
+            exportLibraryRis: () => this.exportCitations('ris', 'library')
+        };
+        Object.entries(metadataActions).forEach(([id, action]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', action);
+        });
+        
+        // Open by ID modal
+        ['openByIdBtn', 'openByIdPlaceholderBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', () => this.showOpenByIdModal());
+        });
+        const cancelOpenByIdBtn = document.getElementById('cancelOpenById');
+        const confirmOpenByIdBtn = document.getElementById('confirmOpenById');
+        if (cancelOpenByIdBtn) cancelOpenByIdBtn.addEventListener('click', () => this.hideOpenByIdModal());
+        if (confirmOpenByIdBtn) confirmOpenByIdBtn.addEventListener('click', () => this.openById());
+        
+        const openByIdInput = document.getElementById('openByIdInput');
+        if (openByIdInput) {
+            openByIdInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.openById();
+                if (e.key === 'Escape') this.hideOpenByIdModal();
+            });
+        }
+        
         // Rename modal
         const cancelRenameBtn = document.getElementById('cancelRename');
         const confirmRenameBtn = document.getElementById('confirmRename');
@@ -979,24 +6570,300 @@ class ScratchXivApp {
             });
         }
         
-        // Keyboard shortcuts
+        // Search
+        const toggleSearchBtn = document.getElementById('toggleSearch');
+        if (toggleSearchBtn) toggleSearchBtn.addEventListener('click', () => this.toggleSearchBar());
+        
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => this.runSearch(), 250);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.prevSearchHit();
+                    } else {
+                        this.nextSearchHit();
+                    }
+                } else if (e.key === 'Escape') {
+                    this.toggleSearchBar(false);
+                }
+            });
+        }
+        
+        ['searchCaseSensitive', 'searchWholeWord', 'searchRegex'].forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) checkbox.addEventListener('change', () => this.runSearch());
+        });
+        
+        const searchPrevBtn = document.getElementById('searchPrev');
+        const searchNextBtn = document.getElementById('searchNext');
+        const closeSearchBtn = document.getElementById('closeSearch');
+        if (searchPrevBtn) searchPrevBtn.addEventListener('click', () => this.prevSearchHit());
+        if (searchNextBtn) searchNextBtn.addEventListener('click', () => this.nextSearchHit());
+        if (closeSearchBtn) closeSearchBtn.addEventListener('click', () => this.toggleSearchBar(false));
+        
+        // Storage details
+        const storageIndicator = document.getElementById('storageIndicator');
+        if (storageIndicator) storageIndicator.addEventListener('click', () => this.showStorageModal());
+        
+        const closeStorageBtn = document.getElementById('closeStorageModal');
+        if (closeStorageBtn) closeStorageBtn.addEventListener('click', () => this.hideStorageModal());
+        
+        const persistStorageBtn = document.getElementById('persistStorageBtn');
+        if (persistStorageBtn) persistStorageBtn.addEventListener('click', () => this.requestPersistentStorage());
+        
+        // Tab groups and reordering
+        this.bindTabDragging();
+        
+        const tabMenu = document.getElementById('tabMenu');
+        if (tabMenu) {
+            document.addEventListener('click', (e) => {
+                if (!tabMenu.contains(e.target)) this.hideTabMenu();
+            });
+            window.addEventListener('blur', () => this.hideTabMenu());
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.hideTabMenu();
+            });
+        }
+        
+        // Reading progress
+        ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => this.markReadingActivity(), { passive: true, capture: true });
+        });
+        
+        const readingStatsBtn = document.getElementById('readingStatsBtn');
+        if (readingStatsBtn) readingStatsBtn.addEventListener('click', () => this.showReadingStats());
+        
+        const closeReadingStatsBtn = document.getElementById('closeReadingStats');
+        if (closeReadingStatsBtn) closeReadingStatsBtn.addEventListener('click', () => this.hideReadingStats());
+        
+        document.querySelectorAll('.reading-view-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setReadingStatsView(btn.dataset.view));
+        });
+        
+        const readingStatsModal = document.getElementById('readingStatsModal');
+        if (readingStatsModal) {
+            readingStatsModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) this.hideReadingStats();
+            });
+        }
+        
+        // Collection view
+        const collectionBtn = document.getElementById('collectionBtn');
+        if (collectionBtn) collectionBtn.addEventListener('click', () => this.showCollection());
+        
+        const collectionFilter = document.getElementById('collectionFilter');
+        if (collectionFilter) {
+            collectionFilter.addEventListener('input', () => this.renderCollection());
+            collectionFilter.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.hideCollection();
+                if (e.key === 'Enter') {
+                    const first = document.querySelector('#collectionItems [data-tab-id]');
+                    if (first) first.click();
+                }
+            });
+        }
+        
+        ['collectionGroupFilter', 'collectionStatusFilter'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.renderCollection());
+        });
+        
+        const collectionSort = document.getElementById('collectionSort');
+        if (collectionSort) collectionSort.addEventListener('change', () => this.setCollectionSort(collectionSort.value));
+        
+        const collectionSortDirection = document.getElementById('collectionSortDirection');
+        if (collectionSortDirection) {
+            collectionSortDirection.addEventListener('click', () => this.setCollectionSort(this.collectionView.sort, true));
+        }
+        
+        document.querySelectorAll('.collection-layout-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setCollectionLayout(btn.dataset.layout));
+        });
+        
+        const collectionModal = document.getElementById('collectionModal');
+        if (collectionModal) {
+            collectionModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) this.hideCollection();
+            });
+        }
+        
+        // Recently closed tabs
+        const closedTabsBtn = document.getElementById('closedTabsBtn');
+        const closedTabsMenu = document.getElementById('closedTabsMenu');
+        if (closedTabsBtn && closedTabsMenu) {
+            closedTabsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                closedTabsMenu.classList.toggle('visible');
+            });
+            closedTabsMenu.addEventListener('click', (e) => e.stopPropagation());
+            document.addEventListener('click', () => closedTabsMenu.classList.remove('visible'));
+        }
+        
+        const purgeAllBtn = document.getElementById('purgeClosedTabs');
+        if (purgeAllBtn) {
+            purgeAllBtn.addEventListener('click', () => {
+                if (confirm('Permanently delete all recently closed papers and their PDFs?')) {
+                    this.purgeAllClosedTabs();
+                }
+            });
+        }
+        
+        // Highlight filters
+        const colorFilter = document.getElementById('highlightColorFilter');
+        const tagFilter = document.getElementById('highlightTagFilter');
+        const fromPageFilter = document.getElementById('highlightFromPage');
+        const toPageFilter = document.getElementById('highlightToPage');
+        if (colorFilter) {
+            colorFilter.addEventListener('change', () => {
+                this.highlightFilter.color = colorFilter.value;
+                this.renderHighlightsList();
+            });
+        }
+        if (tagFilter) {
+            tagFilter.addEventListener('change', () => {
+                this.highlightFilter.tag = tagFilter.value;
+                this.renderHighlightsList();
+            });
+        }
+        [fromPageFilter, toPageFilter].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                this.highlightFilter.fromPage = parseInt(fromPageFilter.value) || null;
+                this.highlightFilter.toPage = parseInt(toPageFilter.value) || null;
+                this.renderHighlightsList();
+            });
+        });
+        
+        const clearFilterBtn = document.getElementById('clearHighlightFilter');
+        if (clearFilterBtn) clearFilterBtn.addEventListener('click', () => this.clearHighlightFilter());
+        
+        // PDF annotations
+        const exportAnnotatedBtn = document.getElementById('exportAnnotatedPdf');
+        const importAnnotationsBtn = document.getElementById('importPdfAnnotations');
+        if (exportAnnotatedBtn) exportAnnotatedBtn.addEventListener('click', () => this.exportAnnotatedPdf());
+        if (importAnnotationsBtn) importAnnotationsBtn.addEventListener('click', () => this.importPdfHighlights());
+        
+        // Workspace backup
+        const exportWorkspaceBtn = document.getElementById('exportWorkspaceBtn');
+        if (exportWorkspaceBtn) exportWorkspaceBtn.addEventListener('click', () => this.exportWorkspace());
+        
+        const workspaceInput = document.getElementById('workspaceInput');
+        const importWorkspaceBtn = document.getElementById('importWorkspaceBtn');
+        if (importWorkspaceBtn && workspaceInput) {
+            importWorkspaceBtn.addEventListener('click', () => workspaceInput.click());
+            workspaceInput.addEventListener('change', async (e) => {
+                if (e.target.files && e.target.files[0]) {
+                    this.hideStorageModal();
+                    await this.importWorkspace(e.target.files[0]);
+                    e.target.value = ''; // Reset input
+                }
+            });
+        }
+        
+        const storageModal = document.getElementById('storageModal');
+        if (storageModal) {
+            storageModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) this.hideStorageModal();
+            });
+        }
+        
+        // Library search
+        const librarySearchBtn = document.getElementById('librarySearchBtn');
+        if (librarySearchBtn) librarySearchBtn.addEventListener('click', () => this.showLibrarySearch());
+        
+        const librarySearchInput = document.getElementById('librarySearchInput');
+        if (librarySearchInput) {
+            let librarySearchTimeout;
+            librarySearchInput.addEventListener('input', () => {
+                clearTimeout(librarySearchTimeout);
+                librarySearchTimeout = setTimeout(() => this.runLibrarySearch(), 200);
+            });
+            librarySearchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.hideLibrarySearch();
+                if (e.key === 'Enter') {
+                    const first = document.querySelector('#librarySearchResults .library-result-match');
+                    if (first) first.click();
+                }
+            });
+        }
+        
+        const librarySearchModal = document.getElementById('librarySearchModal');
+        if (librarySearchModal) {
+            librarySearchModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) this.hideLibrarySearch();
+            });
+        }
+        
+        // Command palette and shortcut settings
+        const commandPaletteBtn = document.getElementById('commandPaletteBtn');
+        if (commandPaletteBtn) commandPaletteBtn.addEventListener('click', () => this.showCommandPalette());
+        
+        const commandPaletteInput = document.getElementById('commandPaletteInput');
+        if (commandPaletteInput) {
+            commandPaletteInput.addEventListener('input', () => this.renderCommandPalette());
+            commandPaletteInput.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.selectPaletteItem(this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1));
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.runPaletteItem(this.paletteIndex);
+                } else if (e.key === 'Escape') {
+                    this.hideCommandPalette();
+                }
+            });
+        }
+        
+        const commandPaletteModal = document.getElementById('commandPaletteModal');
+        if (commandPaletteModal) {
+            commandPaletteModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) this.hideCommandPalette();
+            });
+        }
+        
+        const paletteShortcutsBtn = document.getElementById('paletteShortcutsBtn');
+        if (paletteShortcutsBtn) {
+            paletteShortcutsBtn.addEventListener('click', () => {
+                this.hideCommandPalette();
+                this.showShortcutsModal();
+            });
+        }
+        
+        const closeShortcutsBtn = document.getElementById('closeShortcuts');
+        if (closeShortcutsBtn) closeShortcutsBtn.addEventListener('click', () => this.hideShortcutsModal());
+        
+        const resetShortcutsBtn = document.getElementById('resetShortcuts');
+        if (resetShortcutsBtn) resetShortcutsBtn.addEventListener('click', () => this.resetAllShortcuts());
+        
+        const shortcutsModal = document.getElementById('shortcutsModal');
+        if (shortcutsModal) {
+            shortcutsModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) this.hideShortcutsModal();
+            });
+        }
+        
+        // Capture phase, so a key being bound never reaches the shortcuts themselves
+        document.addEventListener('keydown', (e) => this.captureShortcut(e), true);
+        
+        // Keyboard shortcuts; the bindings live in the command registry (see registerCommands)
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.defaultPrevented) return;
             
-            if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
-                e.preventDefault();
-                this.prevPage();
-            } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
-                e.preventDefault();
-                this.nextPage();
-            } else if (e.key === '+' || e.key === '=') {
-                e.preventDefault();
-                this.zoomIn();
-            } else if (e.key === '-') {
-                e.preventDefault();
-                this.zoomOut();
+            if (e.key === 'Escape' && this.drawTool && e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
+                this.setDrawTool(null);
+                return;
             }
+            
+            // Text fields keep their native keys (undo included) unless a command is global
+            window.scratchXivCommands.handleKeydown(e);
         });
+        this.updateShortcutHints();
         
         // Save before unload
         window.addEventListener('beforeunload', () => {
@@ -0,0 +1,360 @@
+// ScratchXiv - IndexedDB Storage
+// App metadata, one record per tab, the PDF blobs, the text extracted from them
+// for library search and the images snipped into notes live in separate object
+// stores. Schema changes are applied by the numbered migrations below.
+
+class ScratchXivStorage {
+    constructor() {
+        this.dbName = 'ScratchXivDB';
+        this.dbVersion = 3;
+        this.db = null;
+        this.legacyImported = false;
+        
+        // migrations[n] upgrades a database at version n to version n + 1. They run
+        // inside the versionchange transaction, so a failed upgrade leaves nothing behind.
+        this.migrations = [
+            // 0 -> 1: initial schema, importing the data saved before IndexedDB was used
+            (db, transaction) => {
+                db.createObjectStore('meta', { keyPath: 'key' });
+                db.createObjectStore('tabs', { keyPath: 'id' });
+                // Sizes are indexed so storage info can add them up without reading blobs
+                db.createObjectStore('pdfs', { keyPath: 'tabId' }).createIndex('size', 'size', { unique: false });
+                // { tabId, signature, fileName, pages: [text], indexedAt }
+                db.createObjectStore('pdfText', { keyPath: 'tabId' });
+                this.importLegacyData(transaction);
+            },
+            // 1 -> 2: look up PDFs by content hash. Hashing is async, so records saved
+            // before this version get their hash from backfillPdfHashes() afterwards
+            (db, transaction) => {
+                transaction.objectStore('pdfs').createIndex('hash', 'hash', { unique: false });
+            },
+            // 2 -> 3: images snipped from pages, { id, tabId, page, blob, width, height, createdAt }
+            (db) => {
+                db.createObjectStore('images', { keyPath: 'id' }).createIndex('tabId', 'tabId', { unique: false });
+            }
+        ];
+    }
+    
+    init() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+                console.log('Upgrading database from version', event.oldVersion, 'to', event.newVersion);
+                
+                for (let version = event.oldVersion; version < event.newVersion; version++) {
+                    this.migrations[version](db, transaction);
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                
+                // Another window upgrading the schema needs this connection closed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    console.log('Database upgraded elsewhere, connection closed');
+                };
+                
+                if (this.legacyImported) {
+                    localStorage.removeItem('scratchxiv_data');
+                    console.log('Removed legacy localStorage data after import');
+                }
+                
+                resolve(this.db);
+            };
+            
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Database upgrade blocked by another open window');
+        });
+    }
+    
+    // Copies the app data the localStorage fallback wrote under 'scratchxiv_data'
+    importLegacyData(transaction) {
+        let data = null;
+        try {
+            data = JSON.parse(localStorage.getItem('scratchxiv_data'));
+        } catch (error) {
+            console.error('Could not parse legacy localStorage data:', error);
+        }
+        if (!data || !Array.isArray(data.tabs)) return;
+        
+        const tabsStore = transaction.objectStore('tabs');
+        data.tabs.forEach(tab => tabsStore.put(tab));
+        transaction.objectStore('meta').put({
+            key: 'app',
+            activeTabId: data.activeTabId || null,
+            tabOrder: data.tabs.map(tab => tab.id)
+        });
+        
+        this.legacyImported = true;
+        console.log('Imported', data.tabs.length, 'tabs from localStorage');
+    }
+    
+    transaction(storeNames, mode, operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+            
+            const transaction = this.db.transaction(storeNames, mode);
+            let result;
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            
+            Promise.resolve(operation(transaction)).then(value => {
+                result = value;
+            }, error => {
+                transaction.abort();
+                reject(error);
+            });
+        });
+    }
+    
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // App Data
+    async saveAppData(data) {
+        const tabs = data.tabs || [];
+        
+        await this.transaction(['meta', 'tabs'], 'readwrite', async (transaction) => {
+            const tabsStore = transaction.objectStore('tabs');
+            const keepIds = new Set(tabs.map(tab => tab.id));
+            
+            tabs.forEach(tab => tabsStore.put(tab));
+            transaction.objectStore('meta').put({
+                key: 'app',
+                activeTabId: data.activeTabId || null,
+                tabOrder: tabs.map(tab => tab.id),
+                closedTabs: data.closedTabs || [],
+                tabGroups: data.tabGroups || [],
+                collectionView: data.collectionView || null,
+                updatedAt: Date.now()
+            });
+            
+            // Remove records of tabs that no longer exist
+            const storedIds = await this.request(tabsStore.getAllKeys());
+            storedIds.filter(id => !keepIds.has(id)).forEach(id => tabsStore.delete(id));
+        });
+    }
+    
+    async loadAppData() {
+        return this.transaction(['meta', 'tabs'], 'readonly', async (transaction) => {
+            const meta = await this.request(transaction.objectStore('meta').get('app'));
+            const tabs = await this.request(transaction.objectStore('tabs').getAll());
+            
+            if (!meta && tabs.length === 0) return null;
+            
+            // Restore tab order; tabs missing from the order go last
+            const order = new Map(((meta && meta.tabOrder) || []).map((id, i) => [id, i]));
+            tabs.sort((a, b) => (order.has(a.id) ? order.get(a.id) : Infinity) - (order.has(b.id) ? order.get(b.id) : Infinity));
+            
+            return {
+                tabs,
+                activeTabId: meta ? meta.activeTabId : null,
+                closedTabs: (meta && meta.closedTabs) || [],
+                tabGroups: (meta && meta.tabGroups) || [],
+                collectionView: (meta && meta.collectionView) || null
+            };
+        });
+    }
+    
+    // PDFs
+    async savePdf(tabId, blob, fileName, hash = null) {
+        if (!hash) hash = await this.hashBlob(blob);
+        
+        await this.transaction('pdfs', 'readwrite', (transaction) => {
+            transaction.objectStore('pdfs').put({
+                tabId,
+                blob,
+                fileName,
+                size: blob.size,
+                hash,
+                savedAt: Date.now()
+            });
+        });
+    }
+    
+    // Hex SHA-256 of the content, or null where WebCrypto is unavailable (insecure origins)
+    async hashBlob(blob) {
+        if (!window.crypto || !window.crypto.subtle) return null;
+        
+        const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // Returns the tab ids whose stored PDF has this content hash
+    async findPdfsByHash(hash) {
+        if (!hash) return [];
+        
+        return this.transaction('pdfs', 'readonly', (transaction) => {
+            return this.request(transaction.objectStore('pdfs').index('hash').getAllKeys(hash));
+        });
+    }
+    
+    async backfillPdfHashes() {
+        // Records without a hash are missing from the index; blobs are read one at a time
+        const missing = await this.transaction('pdfs', 'readonly', async (transaction) => {
+            const store = transaction.objectStore('pdfs');
+            const all = await this.request(store.getAllKeys());
+            const hashed = new Set(await this.request(store.index('hash').getAllKeys()));
+            return all.filter(tabId => !hashed.has(tabId));
+        });
+        
+        let updated = 0;
+        for (const tabId of missing) {
+            const record = await this.loadPdf(tabId);
+            if (!record || !record.blob) continue;
+            
+            const hash = await this.hashBlob(record.blob);
+            if (!hash) return updated;
+            
+            await this.transaction('pdfs', 'readwrite', (transaction) => {
+                transaction.objectStore('pdfs').put({ ...record, hash });
+            });
+            updated++;
+        }
+        
+        if (updated > 0) console.log('Hashed', updated, 'stored PDFs');
+        return updated;
+    }
+    
+    async loadPdf(tabId) {
+        return this.transaction('pdfs', 'readonly', (transaction) => {
+            return this.request(transaction.objectStore('pdfs').get(tabId));
+        });
+    }
+    
+    async deletePdf(tabId) {
+        await this.transaction('pdfs', 'readwrite', (transaction) => {
+            transaction.objectStore('pdfs').delete(tabId);
+        });
+    }
+    
+    // Images
+    async saveImage(image) {
+        await this.transaction('images', 'readwrite', (transaction) => {
+            transaction.objectStore('images').put(image);
+        });
+    }
+    
+    async loadImage(id) {
+        return this.transaction('images', 'readonly', (transaction) => {
+            return this.request(transaction.objectStore('images').get(id));
+        });
+    }
+    
+    async loadImages(tabId) {
+        return this.transaction('images', 'readonly', (transaction) => {
+            return this.request(transaction.objectStore('images').index('tabId').getAll(tabId));
+        });
+    }
+    
+    async deleteImages(tabId) {
+        await this.transaction('images', 'readwrite', async (transaction) => {
+            const store = transaction.objectStore('images');
+            const ids = await this.request(store.index('tabId').getAllKeys(tabId));
+            ids.forEach(id => store.delete(id));
+        });
+    }
+    
+    // PDF Text
+    async loadPdfText(tabId) {
+        return this.transaction('pdfText', 'readonly', (transaction) => {
+            return this.request(transaction.objectStore('pdfText').get(tabId));
+        });
+    }
+    
+    async loadAllPdfText() {
+        return this.transaction('pdfText', 'readonly', (transaction) => {
+            return this.request(transaction.objectStore('pdfText').getAll());
+        });
+    }
+    
+    async savePdfText(entry) {
+        await this.transaction('pdfText', 'readwrite', (transaction) => {
+            transaction.objectStore('pdfText').put(entry);
+        });
+    }
+    
+    async deletePdfText(tabId) {
+        await this.transaction('pdfText', 'readwrite', (transaction) => {
+            transaction.objectStore('pdfText').delete(tabId);
+        });
+    }
+    
+    // Quota
+    async getStorageInfo() {
+        try {
+            const info = {
+                usage: null,
+                quota: null,
+                persisted: null,
+                pdfCount: 0,
+                pdfBytes: 0
+            };
+            
+            if (navigator.storage && navigator.storage.estimate) {
+                const estimate = await navigator.storage.estimate();
+                info.usage = estimate.usage;
+                info.quota = estimate.quota;
+            }
+            if (navigator.storage && navigator.storage.persisted) {
+                info.persisted = await navigator.storage.persisted();
+            }
+            
+            await this.transaction('pdfs', 'readonly', async (transaction) => {
+                const store = transaction.objectStore('pdfs');
+                info.pdfCount = await this.request(store.count());
+                info.pdfBytes = await this.sumIndexKeys(store.index('size'));
+            });
+            
+            return info;
+        } catch (error) {
+            console.error('Error reading storage info:', error);
+            return null;
+        }
+    }
+    
+    // Adds up the keys of an index with a key cursor, which never loads the records
+    sumIndexKeys(index) {
+        return new Promise((resolve, reject) => {
+            let sum = 0;
+            const request = index.openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(sum);
+                    return;
+                }
+                sum += cursor.key;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Asks the browser not to evict our data under storage pressure
+    async requestPersistence() {
+        if (!navigator.storage || !navigator.storage.persist) return false;
+        return navigator.storage.persist();
+    }
+}
+
+window.scratchXivStorage = new ScratchXivStorage();
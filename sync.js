@@ -0,0 +1,271 @@
+// ScratchXiv - Window Sync
+// Keeps ScratchXiv instances open in several windows of the same browser in step
+// over a BroadcastChannel. Each window announces itself with 'hello', answers
+// with 'here', repeats 'here' as a heartbeat and says 'bye' when it goes away.
+//
+// Changed tabs are sent as { type: 'changes', tabs, bases, removed, order, ... }
+// after every save. bases holds each changed or removed tab as it was last
+// shared, baseMeta the tab order, closed tabs and groups. Receivers merge
+// against these field by field: whichever side changed a field since then wins,
+// highlights, closed tabs and groups merge by id, and notes edited on both sides
+// get a line-based three-way merge that keeps both versions of conflicting lines
+// between markers. When both sides changed the same thing, the window with the
+// greater instanceId wins, so two windows merging each other's changes at the
+// same time arrive at the same result.
+
+class ScratchXivSync {
+    constructor() {
+        this.channelName = 'scratchxiv';
+        this.channel = null;
+        this.instanceId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        this.peers = new Map(); // instanceId -> last seen
+        this.handlers = new Map(); // message type -> [handler]
+        this.heartbeatInterval = 5000;
+        this.peerTimeout = 15000;
+        this.heartbeat = null;
+        
+        // Larger diffs than this are treated as one changed block
+        this.maxDiffCells = 4000000;
+    }
+    
+    isAvailable() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+    
+    start() {
+        if (!this.isAvailable() || this.channel) return false;
+        
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.receive(event.data);
+        
+        this.post('hello');
+        this.heartbeat = setInterval(() => {
+            this.post('here');
+            this.prunePeers();
+        }, this.heartbeatInterval);
+        
+        window.addEventListener('pagehide', () => this.post('bye'));
+        console.log('Window sync started as', this.instanceId);
+        return true;
+    }
+    
+    on(type, handler) {
+        if (!this.handlers.has(type)) this.handlers.set(type, []);
+        this.handlers.get(type).push(handler);
+    }
+    
+    emit(type, message) {
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error('Error handling sync message:', type, error);
+            }
+        });
+    }
+    
+    post(type, payload = {}) {
+        if (!this.channel) return;
+        
+        try {
+            this.channel.postMessage({ ...payload, type, from: this.instanceId });
+        } catch (error) {
+            console.error('Error posting sync message:', type, error);
+        }
+    }
+    
+    receive(message) {
+        if (!message || !message.from || message.from === this.instanceId) return;
+        
+        const known = this.peers.has(message.from);
+        if (message.type === 'bye') {
+            this.peers.delete(message.from);
+            this.emit('peers', this.peers.size);
+            return;
+        }
+        
+        this.peers.set(message.from, Date.now());
+        if (message.type === 'hello') this.post('here');
+        if (!known) this.emit('peers', this.peers.size);
+        
+        this.emit(message.type, message);
+    }
+    
+    prunePeers() {
+        const cutoff = Date.now() - this.peerTimeout;
+        let changed = false;
+        this.peers.forEach((lastSeen, id) => {
+            if (lastSeen < cutoff) {
+                this.peers.delete(id);
+                changed = true;
+            }
+        });
+        if (changed) this.emit('peers', this.peers.size);
+    }
+    
+    // Merging
+    // Whether this window's side wins where both windows changed the same thing
+    prefersLocal(remoteId) {
+        return this.instanceId > remoteId;
+    }
+    
+    // Three-way merge of plain values: the side that changed since base wins
+    mergeValue(base, local, remote, preferLocal = true) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        if (same(local, base)) return remote;
+        if (same(remote, base)) return local;
+        return preferLocal ? local : remote;
+    }
+    
+    // Items with an id: additions and deletions from both sides are kept, items
+    // changed on both sides merge as values. The preferred side's order comes first.
+    mergeById(base = [], local = [], remote = [], preferLocal = true, getId = item => item.id) {
+        const byId = items => new Map(items.map(item => [getId(item), item]));
+        const baseById = byId(base);
+        const localById = byId(local);
+        const remoteById = byId(remote);
+        const [first, second] = preferLocal ? [local, remote] : [remote, local];
+        const firstById = preferLocal ? localById : remoteById;
+        const secondById = preferLocal ? remoteById : localById;
+        const merged = [];
+        
+        first.forEach(item => {
+            const id = getId(item);
+            if (secondById.has(id)) {
+                merged.push(this.mergeValue(baseById.get(id), localById.get(id), remoteById.get(id), preferLocal));
+            } else if (!baseById.has(id)) {
+                merged.push(item); // new on this side
+            }
+            // otherwise deleted on the other side
+        });
+        
+        second.forEach(item => {
+            const id = getId(item);
+            if (!firstById.has(id) && !baseById.has(id)) merged.push(item);
+        });
+        
+        return merged;
+    }
+    
+    // Line-based three-way merge. Returns { text, conflict }; conflicting lines
+    // are kept from both sides between markers, the preferred side first.
+    mergeText(base, local, remote, preferLocal = true) {
+        base = base || '';
+        local = local || '';
+        remote = remote || '';
+        if (local === remote || remote === base) return { text: local, conflict: false };
+        if (local === base) return { text: remote, conflict: false };
+        
+        const baseLines = base.split('\n');
+        const hunks = [
+            ...this.diffLines(baseLines, local.split('\n')).map(hunk => ({ ...hunk, side: 'local' })),
+            ...this.diffLines(baseLines, remote.split('\n')).map(hunk => ({ ...hunk, side: 'remote' }))
+        ].sort((a, b) => a.start - b.start || a.end - b.end);
+        
+        const output = [];
+        let conflict = false;
+        let position = 0;
+        
+        for (let i = 0; i < hunks.length;) {
+            // Hunks that overlap or touch are resolved together
+            const cluster = [hunks[i]];
+            let end = hunks[i].end;
+            for (i++; i < hunks.length && hunks[i].start <= end; i++) {
+                cluster.push(hunks[i]);
+                end = Math.max(end, hunks[i].end);
+            }
+            const start = cluster[0].start;
+            output.push(...baseLines.slice(position, start));
+            position = end;
+            
+            const localHunks = cluster.filter(hunk => hunk.side === 'local');
+            const remoteHunks = cluster.filter(hunk => hunk.side === 'remote');
+            const localLines = this.applyHunks(baseLines, localHunks, start, end);
+            const remoteLines = this.applyHunks(baseLines, remoteHunks, start, end);
+            
+            if (remoteHunks.length === 0 || localLines.join('\n') === remoteLines.join('\n')) {
+                output.push(...localLines);
+            } else if (localHunks.length === 0) {
+                output.push(...remoteLines);
+            } else {
+                const [first, second] = preferLocal ? [localLines, remoteLines] : [remoteLines, localLines];
+                conflict = true;
+                output.push('<<<<<<< edited in one window', ...first, '=======', ...second, '>>>>>>> edited in another window');
+            }
+        }
+        output.push(...baseLines.slice(position));
+        
+        return { text: output.join('\n'), conflict };
+    }
+    
+    applyHunks(baseLines, hunks, start, end) {
+        const lines = [];
+        let position = start;
+        hunks.forEach(hunk => {
+            lines.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+            position = hunk.end;
+        });
+        lines.push(...baseLines.slice(position, end));
+        return lines;
+    }
+    
+    // Changes turning base into other, as { start, end, lines }: base lines
+    // [start, end) are replaced by lines
+    diffLines(base, other) {
+        let prefix = 0;
+        while (prefix < base.length && prefix < other.length && base[prefix] === other[prefix]) prefix++;
+        
+        let baseEnd = base.length;
+        let otherEnd = other.length;
+        while (baseEnd > prefix && otherEnd > prefix && base[baseEnd - 1] === other[otherEnd - 1]) {
+            baseEnd--;
+            otherEnd--;
+        }
+        
+        const a = base.slice(prefix, baseEnd);
+        const b = other.slice(prefix, otherEnd);
+        if (a.length === 0 && b.length === 0) return [];
+        if (a.length === 0 || b.length === 0 || (a.length + 1) * (b.length + 1) > this.maxDiffCells) {
+            return [{ start: prefix, end: baseEnd, lines: b }];
+        }
+        
+        // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+        
+        const hunks = [];
+        let hunk = null;
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                hunk = null;
+                i++;
+                j++;
+                continue;
+            }
+            
+            if (!hunk) {
+                hunk = { start: prefix + i, end: prefix + i, lines: [] };
+                hunks.push(hunk);
+            }
+            if (j < b.length && (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+                hunk.lines.push(b[j]);
+                j++;
+            } else {
+                i++;
+                hunk.end = prefix + i;
+            }
+        }
+        return hunks;
+    }
+}
+
+window.scratchXivSync = new ScratchXivSync();
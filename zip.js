@@ -0,0 +1,169 @@
+// ScratchXiv - ZIP Archives
+// Minimal ZIP writer (stored entries) and reader (stored and deflated entries)
+// used for workspace backups and note exports.
+
+class ScratchXivZip {
+    constructor() {
+        this.crcTable = null;
+    }
+    
+    crc32(bytes, crc = 0) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        crc = crc ^ 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+    
+    async toBytes(data) {
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        return data;
+    }
+    
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+    
+    // files: [{ name, data }] where data is a string, Blob, ArrayBuffer or Uint8Array
+    async createZip(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.dosDateTime(new Date());
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const bytes = await this.toBytes(file.data);
+            const crc = this.crc32(bytes);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, bytes.length, true);
+            local.setUint32(22, bytes.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, bytes.length, true);
+            central.setUint32(24, bytes.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            
+            parts.push(local.buffer, name, bytes);
+            centralParts.push(central.buffer, name);
+            offset += 30 + name.length + bytes.length;
+        }
+        
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+    
+    // Returns a Map of entry name -> Uint8Array
+    async readZip(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const decoder = new TextDecoder();
+        
+        // The end of central directory record sits before an optional trailing comment
+        let endOffset = -1;
+        for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a ZIP archive');
+        }
+        
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const entries = new Map();
+        
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            
+            const method = view.getUint16(pointer + 10, true);
+            const crc = view.getUint32(pointer + 16, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(new Uint8Array(arrayBuffer, pointer + 46, nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+            
+            // Entry data follows the local header, whose extra field can differ from the central one
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = new Uint8Array(arrayBuffer, dataStart, compressedSize);
+            
+            let bytes;
+            if (method === 0) {
+                bytes = raw.slice();
+            } else if (method === 8) {
+                bytes = await this.inflate(raw);
+            } else {
+                throw new Error(`Unsupported compression method ${method} for ${name}`);
+            }
+            
+            if (this.crc32(bytes) !== crc) {
+                throw new Error(`Checksum mismatch for ${name}`);
+            }
+            
+            if (!name.endsWith('/')) {
+                entries.set(name, bytes);
+            }
+        }
+        
+        return entries;
+    }
+    
+    async inflate(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed ZIP entries');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+window.scratchXivZip = new ScratchXivZip();